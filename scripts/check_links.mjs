@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+/**
+ * Probe every item's link and record its health (lib/links.mjs).
+ *
+ * Usage:
+ *   node scripts/check_links.mjs [id ...] [--concurrency 4] [--host-delay-ms 1000] [--dry-run]
+ *
+ * Each `canonical_url` gets a HEAD request (GET when HEAD is refused, fails
+ * or leaves the host), with at most --concurrency requests in flight and
+ * one at a time per host, --host-delay-ms apart. The item records
+ * `link_status`, `link_detail` and `last_checked_at`; `dead` and `parked`
+ * items are held out of scheduling and publishing until a later check
+ * finds them back. Holding or releasing takes two checks in a row that
+ * agree (`link_pending` keeps the first); errors keep the last status. A
+ * held item that was scheduled goes back to `shortlisted` and frees its
+ * slot. Renamed GitHub repos (the old name redirects) get the new URL as
+ * `canonical_url`/`content.repo`; `url` and the id stay, so the old link
+ * still finds the item. Dropped items are not checked.
+ *
+ * --dry-run prints the results without writing.
+ *
+ * Modifies:
+ *   - data/tools.jsonl
+ *   - notes/<id>.md (regenerated where one exists and the item changed)
+ */
+
+import fs from 'node:fs';
+import { TOOLS_PATH, loadItems, saveItems, findByUrl, normalizeUrl, nowIso } from './lib/store.mjs';
+import { validateItem, formatErrors } from './lib/schema.mjs';
+import { parseGitHubRepo } from './lib/meta.mjs';
+import { probeUrl, classifyProbe, checkPolitely, isDeadLink, linkState } from './lib/links.mjs';
+import { releaseSlot } from './lib/lifecycle.mjs';
+import { notesPath, writeNotes } from './lib/notes.mjs';
+
+const ACTOR = 'check_links';
+
+function parseArgs(argv) {
+  const out = { ids: [], concurrency: 4, hostDelayMs: 1000, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--concurrency') out.concurrency = Number(argv[++i]);
+    else if (a === '--host-delay-ms') out.hostDelayMs = Number(argv[++i]);
+    else if (a === '--dry-run') out.dryRun = true;
+    else if (a.startsWith('--')) throw new Error(`Unknown argument: ${a}`);
+    else out.ids.push(a);
+  }
+  if (!(out.concurrency >= 1)) throw new Error('--concurrency must be at least 1');
+  if (!(out.hostDelayMs >= 0)) throw new Error('--host-delay-ms must be a number of milliseconds');
+  return out;
+}
+
+/** Item fields for a repo that now lives at `newUrl`. */
+function renamePatch(item, newUrl) {
+  const from = parseGitHubRepo(item.canonical_url || item.url);
+  const to = parseGitHubRepo(newUrl);
+  const patch = { canonical_url: newUrl };
+  if (item.content?.repo) patch.content = { ...item.content, repo: newUrl };
+  if (item.title === `${from.owner}/${from.repo}`) patch.title = `${to.owner}/${to.repo}`;
+  return patch;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const onlyIds = new Set(args.ids);
+const items = loadItems(TOOLS_PATH);
+
+const todo = items
+  .filter(it => it.status !== 'dropped')
+  .filter(it => !onlyIds.size || onlyIds.has(it.id))
+  .map(it => ({ item: it, url: it.canonical_url || it.url }));
+
+const probes = await checkPolitely(todo, ({ url }) => probeUrl(url), {
+  concurrency: args.concurrency,
+  hostDelayMs: args.hostDelayMs
+});
+
+const at = nowIso();
+const results = [];
+let changed = 0;
+let held = 0;
+
+todo.forEach(({ item, url }, i) => {
+  const { link_status, detail, renamed_to } = classifyProbe(url, probes[i]);
+  const patch = { ...linkState(item, { link_status, detail }), last_checked_at: at };
+  const result = { id: item.id, url, link_status, ...(detail ? { detail } : {}) };
+  if (patch.link_pending) result.pending = patch.link_pending;
+
+  if (renamed_to) {
+    const newUrl = normalizeUrl(renamed_to);
+    const other = findByUrl(items, newUrl);
+    if (other && other.id !== item.id) {
+      patch.link_detail = `renamed to ${newUrl}, already stored as ${other.id}`;
+    } else {
+      Object.assign(patch, renamePatch(item, newUrl));
+      patch.link_detail = `renamed from ${url}`;
+      result.renamed_to = newUrl;
+    }
+  }
+
+  const wasHeld = isDeadLink(item);
+  const candidate = { ...structuredClone(item), ...patch };
+  const errors = validateItem(candidate);
+  if (errors.length) {
+    results.push({ ...result, error: `invalid: ${formatErrors(errors)}` });
+    if (wasHeld) held++;
+    return;
+  }
+
+  if (!args.dryRun) {
+    const notable = result.renamed_to || wasHeld !== isDeadLink(candidate);
+    Object.assign(item, patch);
+    if (isDeadLink(item) && releaseSlot(item, { actor: ACTOR, at, reason: `link ${item.link_status}` })) result.unscheduled = true;
+    if (notable) {
+      item.updated_at = at;
+      if (fs.existsSync(notesPath(item.id))) writeNotes(item);
+    }
+    changed++;
+  }
+  if (wasHeld !== isDeadLink(candidate)) result.held = isDeadLink(candidate);
+  if (isDeadLink(candidate)) held++;
+  results.push(result);
+});
+
+if (changed) saveItems(items, TOOLS_PATH);
+
+const count = s => results.filter(r => r.link_status === s).length;
+console.log(JSON.stringify({
+  checked: todo.length,
+  ok: count('ok'),
+  dead: count('dead'),
+  parked: count('parked'),
+  blocked: count('blocked'),
+  error: count('error'),
+  renamed: results.filter(r => r.renamed_to).length,
+  held,
+  dry_run: args.dryRun,
+  results: results.filter(r => r.link_status !== 'ok' || r.renamed_to || r.detail || r.pending || r.error)
+}, null, 2));
@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+/**
+ * Link near-duplicate items (same tool, different URLs): mark the copies
+ * with `duplicate_of` and merge their tags/highlights into the primary.
+ * Duplicates are never scheduled or published; a scheduled one goes back to
+ * `shortlisted` and frees its slot.
+ *
+ * Usage:
+ *   node scripts/dedupe.mjs [--dry-run] [--threshold 0.8]
+ *
+ * --threshold is the summary similarity (token Jaccard) above which two items
+ * count as duplicates. Setting `"duplicate_of": null` on an item marks it as
+ * a distinct tool; later runs leave it alone.
+ *
+ * Modifies:
+ *   - data/tools.jsonl
+ */
+
+import { TOOLS_PATH, loadItems, saveItems, nowIso } from './lib/store.mjs';
+import { assertValidItems } from './lib/schema.mjs';
+import { findDuplicates, mergeDuplicate, DEFAULT_SIMILARITY } from './lib/dedupe.mjs';
+
+function parseArgs(argv) {
+  const out = { dryRun: false, threshold: DEFAULT_SIMILARITY };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--dry-run') out.dryRun = true;
+    else if (a === '--threshold') out.threshold = Number(argv[++i]);
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  if (!(out.threshold > 0 && out.threshold <= 1)) throw new Error('--threshold must be in (0, 1]');
+  return out;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const items = loadItems(TOOLS_PATH);
+const pairs = findDuplicates(items, { threshold: args.threshold });
+
+if (pairs.length && !args.dryRun) {
+  const at = nowIso();
+  for (const { primary, duplicate, reason } of pairs) mergeDuplicate(primary, duplicate, { reason, at });
+  assertValidItems(pairs.flatMap(p => [p.primary, p.duplicate]));
+  saveItems(items, TOOLS_PATH);
+}
+
+console.log(JSON.stringify({
+  dry_run: args.dryRun,
+  duplicates: pairs.map(({ primary, duplicate, reason }) => ({
+    id: duplicate.id,
+    url: duplicate.canonical_url || duplicate.url,
+    duplicate_of: primary.id,
+    primary_url: primary.canonical_url || primary.url,
+    reason
+  }))
+}, null, 2));
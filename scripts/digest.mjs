@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Digest post: items posted or enriched within a date window, as a Telegram
+ * digest (split to fit the 4096-char limit) plus posts/YYYY-MM-DD.md.
+ *
+ * Usage:
+ *   node scripts/digest.mjs [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--days N] [--channel <id>] [--no-send]
+ *
+ * Window defaults to the single UTC day --to (default: today); --days N
+ * widens it to the N days ending at --to. --no-send only writes the Markdown
+ * (items are not marked, so a later run can still send the same digest).
+ * The digest goes to --channel (default: the first one in
+ * config/channels.json) and covers the items routed there. Items already in
+ * the digest are not sent again; a rerun sends only what is new (or what a
+ * failed run did not get to), and the Markdown lists the whole digest.
+ *
+ * Reads:
+ *   - TG_BOT_TOKEN (env; not needed with --no-send)
+ *   - config/channels.json (the channel's chat id; not needed with --no-send)
+ *
+ * Modifies:
+ *   - posts/<to>.md (posts/<to>.<channel>.md for other than the first channel)
+ *   - data/tools.jsonl (appends the digest, incl. its post id, to each included item's `digests`)
+ */
+
+import path from 'node:path';
+import { TOOLS_PATH, loadItems, saveItems, writeFileAtomic, nowIso } from './lib/store.mjs';
+import { assertValidItems } from './lib/schema.mjs';
+import { digestParts, renderDigestMarkdown } from './lib/render.mjs';
+import { createTelegramClient, MESSAGE_LIMIT } from './lib/telegram.mjs';
+import { isDuplicate } from './lib/dedupe.mjs';
+import { loadChannelsConfig, getChannel, routes, firstPostedAt } from './lib/channels.mjs';
+
+const POSTS_DIR = 'posts';
+
+function parseArgs(argv) {
+  const out = { from: null, to: null, days: 1, channel: null, send: true };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--from') out.from = argv[++i];
+    else if (a === '--to') out.to = argv[++i];
+    else if (a === '--days') out.days = Number(argv[++i]);
+    else if (a === '--channel') out.channel = argv[++i];
+    else if (a === '--no-send') out.send = false;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  const day = /^\d{4}-\d{2}-\d{2}$/;
+  out.to = out.to || nowIso().slice(0, 10);
+  if (!out.from) {
+    if (!Number.isInteger(out.days) || out.days < 1) throw new Error('--days must be a positive integer');
+    const d = new Date(`${out.to}T00:00:00Z`);
+    d.setUTCDate(d.getUTCDate() - (out.days - 1));
+    out.from = d.toISOString().slice(0, 10);
+  }
+  if (!day.test(out.from) || !day.test(out.to)) throw new Error('Dates must be YYYY-MM-DD');
+  if (out.from > out.to) throw new Error('--from is after --to');
+  return out;
+}
+
+function enrichedAt(item) {
+  const hit = [...(item.history || [])].reverse().find(h => h.to === 'enriched');
+  if (hit) return hit.at;
+  return item.status === 'enriched' ? (item.updated_at || item.created_at) : null;
+}
+
+function inWindow(ts, from, to) {
+  if (!ts) return false;
+  const day = new Date(ts).toISOString().slice(0, 10);
+  return day >= from && day <= to;
+}
+
+function withDigest(item, digest, at) {
+  return Object.assign(item, { digests: [...(item.digests || []), digest], updated_at: at });
+}
+
+const args = parseArgs(process.argv.slice(2));
+const digestId = `digest_${args.to}`;
+
+const channelsConfig = loadChannelsConfig();
+const channel = args.channel ? getChannel(channelsConfig, args.channel) : channelsConfig.channels[0];
+
+const TOKEN = process.env.TG_BOT_TOKEN;
+if (args.send && !TOKEN) throw new Error('Missing env TG_BOT_TOKEN');
+if (args.send && !channel.chat_id) {
+  throw new Error(`Missing chat id for channel ${channel.id}${channel.chat_id_env ? ` (env ${channel.chat_id_env})` : ''}`);
+}
+
+// Digests recorded before channels existed went to the first channel
+const digestChannel = d => d.channel_id ?? channelsConfig.channels[0].id;
+
+const items = loadItems(TOOLS_PATH);
+
+const inDigest = it => (it.digests || []).some(d => d.id === digestId && digestChannel(d) === channel.id);
+
+const picked = items.filter(it => {
+  if (it.status === 'dropped' || isDuplicate(it) || !(it.summary || '').trim() || !routes(channel, it)) return false;
+  if (inDigest(it)) return false;
+  const postedAt = it.status === 'posted' ? firstPostedAt(it) : null;
+  return inWindow(postedAt, args.from, args.to) || inWindow(enrichedAt(it), args.from, args.to);
+});
+
+if (!picked.length) {
+  console.log(JSON.stringify({ digest: digestId, channel: channel.id, items: 0, reason: 'no_items_in_window', from: args.from, to: args.to }));
+  process.exit(0);
+}
+
+const parts = digestParts(picked, { from: args.from, to: args.to, limit: MESSAGE_LIMIT });
+// Other channels' digests sit next to the main one instead of replacing it
+const mdName = channel.id === channelsConfig.channels[0].id ? args.to : `${args.to}.${channel.id}`;
+const mdPath = path.join(POSTS_DIR, `${mdName}.md`);
+
+/**
+ * The Markdown lists everything in the digest: items sent by earlier runs
+ * too, not only this run's. Without sending, the new items count as in.
+ */
+function writeMarkdown() {
+  const listed = items.filter(it => inDigest(it) || (!args.send && picked.includes(it)));
+  if (listed.length) writeFileAtomic(mdPath, renderDigestMarkdown(listed, { from: args.from, to: args.to }));
+}
+
+const postIds = [];
+if (!args.send) {
+  writeMarkdown();
+} else {
+  const at = nowIso();
+  const digest = {
+    id: digestId, from: args.from, to: args.to, channel: 'telegram', channel_id: channel.id,
+    post_id: null, post_ids: postIds, posted_at: at
+  };
+  // Refuse to send what we could not record afterwards
+  assertValidItems(picked.map(it => withDigest(structuredClone(it), digest, at)));
+
+  // Items are marked part by part, so a failure halfway does not send the
+  // delivered parts again on the next run
+  const tg = createTelegramClient({ token: TOKEN });
+  try {
+    for (const part of parts) {
+      const res = await tg.sendMessage(channel.chat_id, part.text, { parseMode: null });
+      postIds.push(String(res.message_id ?? ''));
+      digest.post_id = postIds[0];
+      for (const it of part.items) withDigest(it, digest, at);
+    }
+  } finally {
+    if (postIds.length) saveItems(items, TOOLS_PATH);
+    writeMarkdown();
+  }
+}
+
+console.log(JSON.stringify({
+  digest: digestId,
+  channel: channel.id,
+  items: picked.length,
+  messages: parts.length,
+  post_ids: postIds,
+  markdown: mdPath
+}, null, 2));
@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+/**
+ * Re-render an already-posted item and edit its Telegram message in place
+ * (the caption, for photo posts), in every channel it is live in.
+ *
+ * Usage:
+ *   node scripts/edit.mjs <id|url> [--channel <id>] [--dry-run]
+ *
+ * Reads:
+ *   - TG_BOT_TOKEN (env; not needed with --dry-run)
+ *   - config/channels.json (chat id fallback when a publication has no chat_id)
+ *   - POST_FORMAT (env; fallback when a publication has no format)
+ *
+ * Modifies:
+ *   - data/tools.jsonl (appends an `edit` revision per edited message)
+ */
+
+import { TOOLS_PATH, loadItems, saveItems, findItem, nowIso } from './lib/store.mjs';
+import { assertValidItems } from './lib/schema.mjs';
+import { renderPost, postFormat } from './lib/render.mjs';
+import { createTelegramClient, CAPTION_LIMIT } from './lib/telegram.mjs';
+import { addRevision, lastSentText } from './lib/revisions.mjs';
+import { loadChannelsConfig, getChannel, publications, livePublication } from './lib/channels.mjs';
+
+const ACTOR = 'edit';
+
+function parseArgs(argv) {
+  const out = { ref: null, channel: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--dry-run') out.dryRun = true;
+    else if (argv[i] === '--channel') out.channel = argv[++i];
+    else if (!out.ref) out.ref = argv[i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  if (!out.ref) throw new Error('Usage: node scripts/edit.mjs <id|url> [--channel <id>] [--dry-run]');
+  return out;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+const TOKEN = process.env.TG_BOT_TOKEN;
+if (!TOKEN && !args.dryRun) throw new Error('Missing env TG_BOT_TOKEN');
+
+const channelsConfig = loadChannelsConfig();
+if (args.channel) getChannel(channelsConfig, args.channel);
+
+const items = loadItems(TOOLS_PATH);
+const item = findItem(items, args.ref);
+if (!item) throw new Error(`Unknown item: ${args.ref}`);
+
+const live = publications(item)
+  .filter(([channelId]) => livePublication(item, channelId) && (!args.channel || channelId === args.channel));
+if (item.status !== 'posted' || !live.length) {
+  throw new Error(`${item.id} has no published post to edit${args.channel ? ` in ${args.channel}` : ''} (status: ${item.status})`);
+}
+
+if (!(item.summary || '').trim()) throw new Error(`${item.id} has no summary; re-enrich it before editing the post`);
+
+const tg = args.dryRun ? null : createTelegramClient({ token: TOKEN });
+
+for (const [channelId, pub] of live) {
+  const chatId = pub.chat_id || channelsConfig.channels.find(c => c.id === channelId)?.chat_id;
+  if (!chatId) throw new Error(`No chat id for ${item.id} in channel ${channelId}`);
+
+  const format = pub.format || process.env.POST_FORMAT || 'telegram-html';
+  const text = renderPost(item, format);
+  const before = lastSentText(item, channelId);
+
+  if (before === text) {
+    console.log(JSON.stringify({ edited: false, id: item.id, channel: channelId, reason: 'not_modified' }));
+    continue;
+  }
+
+  if (args.dryRun) {
+    console.log(JSON.stringify({ dry_run: true, id: item.id, channel: channelId, chat_id: chatId, post_id: pub.post_id, before, after: text }, null, 2));
+    continue;
+  }
+
+  const at = nowIso();
+  const revision = { action: 'edit', actor: ACTOR, at, channel_id: channelId, post_id: pub.post_id, text };
+  const preview = structuredClone(item);
+  addRevision(preview, revision);
+  assertValidItems([preview]);
+
+  const parseMode = postFormat(format).parseMode;
+  try {
+    if (pub.media === 'photo') {
+      if (text.length > CAPTION_LIMIT) throw new Error(`${item.id}: caption would exceed ${CAPTION_LIMIT} chars`);
+      await tg.editMessageCaption(chatId, pub.post_id, text, { parseMode });
+    } else {
+      await tg.editMessageText(chatId, pub.post_id, text, { parseMode });
+    }
+  } catch (e) {
+    // Same text as what's live already (e.g. no revision recorded for an old post)
+    if (!/message is not modified/i.test(e.description || '')) throw e;
+  }
+
+  addRevision(item, revision);
+  item.published = { ...item.published, [channelId]: { ...pub, edited_at: at } };
+  item.updated_at = at;
+  // Saved per channel: a failure in the next one must not lose this edit
+  saveItems(items, TOOLS_PATH);
+  console.log(JSON.stringify({ edited: true, id: item.id, channel: channelId, post_id: pub.post_id, edited_at: at }, null, 2));
+}
@@ -0,0 +1,182 @@
+#!/usr/bin/env node
+/**
+ * Enrich inbox items: fetch page/GitHub metadata, run the LLM, persist
+ * title/summary/highlights/tags on the record and move it to `enriched`.
+ *
+ * Usage:
+ *   node scripts/enrich.mjs [id ...]
+ *
+ * Items that failed before (`enrichment.error`) wait ENRICH_RETRY_HOURS,
+ * doubling with every failed attempt (at most a week), unless they were
+ * edited since; ids given on the command line are retried right away.
+ * Fresh items go first.
+ *
+ * Reads:
+ *   - LLM provider env (optional; see scripts/lib/llm.mjs — without one only page/GitHub metadata is used)
+ *   - GITHUB_TOKEN (env, optional; raises the GitHub API rate limit)
+ *   - ENRICH_LIMIT (env, optional; max items per run, default 10)
+ *   - ENRICH_RETRY_HOURS (env, optional; first wait after a failure, default 24)
+ *
+ * Modifies:
+ *   - data/tools.jsonl
+ */
+
+import { TOOLS_PATH, loadItems, saveItems, sanitizeHierTag, uniq, nowIso } from './lib/store.mjs';
+import { validateItem, formatErrors } from './lib/schema.mjs';
+import { transition } from './lib/lifecycle.mjs';
+import {
+  fetchPageMeta, parseGitHubRepo, fetchGitHubRepoMeta, gitHubSocialImage, homepageUrl,
+  decodeHtmlEntities, cleanSummary, clampSummary, jsonLdContent
+} from './lib/meta.mjs';
+import { llmEnrich } from './lib/llm_enrich.mjs';
+
+const ENRICH_LIMIT = Number(process.env.ENRICH_LIMIT || 10);
+const RETRY_HOURS = Number(process.env.ENRICH_RETRY_HOURS || 24);
+const MAX_RETRY_HOURS = 7 * 24;
+const ACTOR = 'enrich';
+const HOUR_MS = 3600 * 1000;
+
+/** Failed enrichment still standing: not edited since it was recorded. */
+function lastFailure(item) {
+  const e = item.enrichment;
+  if (!e?.error) return null;
+  return Date.parse(item.updated_at) > Date.parse(e.at) ? null : e;
+}
+
+function nextAttempt(item) {
+  const failure = lastFailure(item);
+  return failure ? (failure.attempts || 1) + 1 : 1;
+}
+
+function retryDue(item, now) {
+  const failure = lastFailure(item);
+  if (!failure) return true;
+  const waitHours = Math.min(RETRY_HOURS * 2 ** ((failure.attempts || 1) - 1), MAX_RETRY_HOURS);
+  return now - Date.parse(failure.at) >= waitHours * HOUR_MS;
+}
+
+function isUrlish(title, item) {
+  const t = (title || '').trim();
+  return !t || t === item.url || t === item.canonical_url;
+}
+
+/**
+ * Collect metadata for one item. Returns { patch } with the fields to write,
+ * or { error, sources } when no summary could be produced (the item then
+ * stays in inbox with the reason recorded).
+ */
+async function enrichItem(item) {
+  const url = item.canonical_url || item.url;
+  const sources = [];
+
+  let title = isUrlish(item.title, item) ? null : item.title.trim();
+  let description = null;
+  let tags = Array.isArray(item.tags) ? [...item.tags] : [];
+  const content = { ...(item.content || {}) };
+  const summary = (item.summary || '').trim();
+
+  // Special-case GitHub repos (much better summary/title than HTML meta on github.com)
+  const gh = parseGitHubRepo(url);
+  if (gh) {
+    const meta = await fetchGitHubRepoMeta(gh.owner, gh.repo);
+    if (meta) {
+      sources.push('github');
+      title = meta.full_name || title;
+      if (!summary && meta.description) description = meta.description;
+      if (tags.length === 0) tags = ['dev/open-source'];
+      content.repo = content.repo || `https://github.com/${gh.owner}/${gh.repo}`;
+      content.image = content.image || gitHubSocialImage(gh.owner, gh.repo);
+      content.homepage = content.homepage || homepageUrl(meta.homepage);
+    }
+  }
+
+  // If title is still missing (and/or summary missing), try page title + meta description.
+  // Non-GitHub pages are always fetched once for their og:image.
+  if (!gh || !title || (!summary && !description)) {
+    const meta = await fetchPageMeta(url);
+    if (meta.title || meta.description || meta.image) sources.push('page');
+    if (!title && meta.title) title = meta.title;
+    if (!summary && !description && meta.description) description = meta.description;
+    if (!content.image && meta.image) content.image = meta.image;
+    Object.assign(content, jsonLdContent(meta.jsonld, content));
+  }
+
+  // LLM pass to improve title/summary/highlights/tags. Only runs when a provider is configured.
+  let llmError = null;
+  const llm = await llmEnrich({
+    url,
+    title: title ? decodeHtmlEntities(title) : '',
+    description: cleanSummary(description) || description
+  }).catch(e => { llmError = e; return null; });
+  if (llm) sources.push(llm.provider);
+
+  if (llm?.title) title = llm.title;
+  const finalSummary = clampSummary(decodeHtmlEntities(llm?.summary || summary || cleanSummary(description) || ''));
+
+  if (llm?.tags?.length) tags = [...tags, ...llm.tags];
+  if (llm?.highlights?.length) content.highlights = llm.highlights;
+
+  const llmErrorText = llmError ? `llm_${llmError.reason || 'error'}: ${llmError.message}` : null;
+
+  // No placeholder summaries: better to leave the item for an editor.
+  if (!finalSummary) return { error: llmErrorText || 'no_summary', sources };
+
+  const enrichment = { at: nowIso(), sources };
+  if (llmErrorText) enrichment.llm_error = llmErrorText;
+
+  return {
+    patch: {
+      title: title ? decodeHtmlEntities(title).slice(0, 120) : item.title,
+      summary: finalSummary,
+      tags: uniq(tags.map(sanitizeHierTag).filter(Boolean)).slice(0, 3),
+      content,
+      enrichment
+    }
+  };
+}
+
+const onlyIds = new Set(process.argv.slice(2));
+const items = loadItems(TOOLS_PATH);
+const now = Date.now();
+const inbox = items
+  .filter(it => it.status === 'inbox')
+  .filter(it => !onlyIds.size || onlyIds.has(it.id));
+// Never tried (or edited since) first, then the longest-waiting failures
+const failedAt = it => (lastFailure(it) ? Date.parse(lastFailure(it).at) : -Infinity);
+const due = inbox
+  .filter(it => onlyIds.size || retryDue(it, now))
+  .sort((a, b) => failedAt(a) - failedAt(b));
+const todo = due.slice(0, ENRICH_LIMIT);
+
+const results = [];
+
+for (const item of todo) {
+  const { patch, error, sources } = await enrichItem(item);
+  const at = nowIso();
+
+  if (!patch) {
+    item.enrichment = { at, sources, error, attempts: nextAttempt(item) };
+    results.push({ id: item.id, enriched: false, error });
+    continue;
+  }
+
+  const candidate = transition(structuredClone(item), 'enriched', { actor: ACTOR, at, patch });
+  const errors = validateItem(candidate);
+  if (errors.length) {
+    item.enrichment = { at, sources: patch.enrichment.sources, error: `invalid: ${formatErrors(errors)}`, attempts: nextAttempt(item) };
+    results.push({ id: item.id, enriched: false, error: 'invalid' });
+    continue;
+  }
+
+  transition(item, 'enriched', { actor: ACTOR, at, patch });
+  results.push({ id: item.id, enriched: true, sources: patch.enrichment.sources });
+}
+
+if (todo.length) saveItems(items, TOOLS_PATH);
+
+console.log(JSON.stringify({
+  candidates: todo.length,
+  waiting: inbox.length - due.length,
+  enriched: results.filter(r => r.enriched).length,
+  results
+}, null, 2));
@@ -2,83 +2,119 @@
 /**
  * GitHub Issue → PostSoma DB ingest
  *
- * Triggered by GitHub Actions on issues.
- * - Extract GitHub repo links from issue title/body
- * - Upsert each repo into data/tools.jsonl (status=enriched)
+ * Usage:
+ *   node scripts/issue_ingest_github_repo.mjs
+ *   node scripts/issue_ingest_github_repo.mjs --event payload.json [--dry-run]
+ *
+ * Triggered by GitHub Actions on issues and issue comments; the event
+ * payload is read from GITHUB_EVENT_PATH (or --event), else the issue is
+ * fetched by ISSUE_NUMBER (workflow_dispatch).
+ *
+ * issues:
+ * - Take the links from the issue (the form's Link field, else title/body):
+ *   GitHub repos are read through the GitHub API, anything else through
+ *   its page metadata (resolved to the canonical URL first)
+ * - Apply issue-form fields (Tags, Pricing, Platform, Best for, Editor note;
+ *   see lib/issue_form.mjs and .github/ISSUE_TEMPLATE/add-tool.yml)
+ * - Upsert each link into data/tools.jsonl (status=enriched, or inbox when
+ *   no summary could be made)
  * - Write notes/<id>.md
  * - Comment back + close issue
  *
+ * issue_comment:
+ * - Slash commands from owners, members and collaborators (/retag,
+ *   /summary, /drop, /priority, /refresh; see lib/issue_commands.mjs) patch
+ *   the item filed from the issue and regenerate its notes/<id>.md
+ * - Reply with the before/after diff; the issue stays as it is
+ *
+ * --dry-run prints the reply instead of commenting and writes nothing, so
+ * recorded payloads (fixtures/github/) can be run locally.
+ *
  * Env (Actions):
- * - GITHUB_TOKEN (required)
- * - GEMINI_API_KEY (optional)
+ * - GITHUB_TOKEN (required unless --dry-run)
+ * - LLM provider env (optional; see scripts/lib/llm.mjs)
  * - GITHUB_REPOSITORY (owner/repo)
- * - ISSUE_NUMBER (required)
+ * - GITHUB_EVENT_NAME, GITHUB_EVENT_PATH (set by Actions)
+ * - ISSUE_NUMBER (without an event payload)
+ * - URL_RESOLVE=0 (optional; skip network URL resolution)
  */
 
 import fs from 'node:fs';
-import path from 'node:path';
-import crypto from 'node:crypto';
+import {
+  TOOLS_PATH, loadItems, saveItems, upsertItem, mergeRecord, findById, findItem, normalizeUrl, makeId, uniq, nowIso
+} from './lib/store.mjs';
+import { validateItem, formatErrors } from './lib/schema.mjs';
+import { llmEnrichNotes } from './lib/llm_enrich.mjs';
+import {
+  fetchPage, parseGitHubRepo, clampSummary, cleanSummary, decodeHtmlEntities, gitHubSocialImage, homepageUrl,
+  jsonLdContent
+} from './lib/meta.mjs';
+import { transition, canTransition, initialHistory } from './lib/lifecycle.mjs';
+import { createUrlResolver } from './lib/urls.mjs';
+import { parseIssueSubmission } from './lib/issue_form.mjs';
+import { parseIssueCommands, runIssueCommand } from './lib/issue_commands.mjs';
+import { CommandError } from './lib/inbox_commands.mjs';
+import { writeNotes } from './lib/notes.mjs';
+
+function parseArgs(argv) {
+  const out = { event: null, dryRun: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--event') out.event = argv[++i];
+    else if (a === '--dry-run') out.dryRun = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return out;
+}
+
+const args = parseArgs(process.argv.slice(2));
 
 const GH_TOKEN = process.env.GITHUB_TOKEN;
-const GEMINI_API_KEY = process.env.GEMINI_API_KEY;
 const REPO_SLUG = process.env.GITHUB_REPOSITORY;
-const ISSUE_NUMBER = process.env.ISSUE_NUMBER;
+const EVENT_PATH = args.event || process.env.GITHUB_EVENT_PATH;
+const EVENT = EVENT_PATH ? JSON.parse(fs.readFileSync(EVENT_PATH, 'utf8')) : null;
+// --event files carry no event name; comment payloads are the ones with a comment
+const EVENT_NAME = args.event ? (EVENT.comment ? 'issue_comment' : 'issues') : process.env.GITHUB_EVENT_NAME;
+const ISSUE_NUMBER = EVENT?.issue?.number ?? process.env.ISSUE_NUMBER;
 
-if (!GH_TOKEN) throw new Error('Missing GITHUB_TOKEN');
+if (!GH_TOKEN && !args.dryRun) throw new Error('Missing GITHUB_TOKEN');
 if (!REPO_SLUG) throw new Error('Missing GITHUB_REPOSITORY');
 if (!ISSUE_NUMBER) throw new Error('Missing ISSUE_NUMBER');
 
-const TOOLS_PATH = 'data/tools.jsonl';
-const NOTES_DIR = 'notes';
+const ACTOR = 'issue-ingest';
 
-function sha1(input) {
-  return crypto.createHash('sha1').update(input).digest('hex');
-}
+// Comment authors allowed to run commands
+const CURATOR_ASSOCIATIONS = new Set(['OWNER', 'MEMBER', 'COLLABORATOR']);
 
-function normalizeUrl(url) {
-  try {
-    const u = new URL(url);
-    u.hash = '';
-    u.search = '';
-    if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, '');
-    if (u.protocol === 'http:') u.protocol = 'https:';
-    return u.toString();
-  } catch {
-    return url;
-  }
-}
+// github.com paths that are not repositories
+const GITHUB_RESERVED_OWNERS = new Set(['user-attachments', 'orgs', 'topics', 'search', 'features', 'marketplace', 'apps', 'sponsors']);
 
-function extractGitHubRepoUrls(text) {
-  const t = String(text || '');
-  const re = /https?:\/\/github\.com\/[A-Za-z0-9_.-]+\/[A-Za-z0-9_.-]+(?:\/[A-Za-z0-9_./-]+)?/g;
-  const found = new Set();
-  for (const m of t.matchAll(re)) {
-    const raw = m[0];
-    // Reduce to owner/repo root
-    try {
-      const u = new URL(raw);
-      const parts = u.pathname.split('/').filter(Boolean);
-      if (parts.length >= 2) {
-        found.add(`https://github.com/${parts[0]}/${parts[1]}`);
-      }
-    } catch {}
+/**
+ * Links worth ingesting: GitHub URLs reduced to the repo root, links back to
+ * this repository (issue references) and non-repo GitHub pages dropped.
+ */
+function submissionUrls(urls) {
+  const out = [];
+  for (const raw of urls) {
+    let u;
+    try { u = new URL(raw); } catch { continue; }
+    if (u.hostname === 'github.com') {
+      const gh = parseGitHubRepo(raw);
+      if (!gh || GITHUB_RESERVED_OWNERS.has(gh.owner)) continue;
+      if (`${gh.owner}/${gh.repo}`.toLowerCase() === REPO_SLUG.toLowerCase()) continue;
+      out.push(`https://github.com/${gh.owner}/${gh.repo}`);
+    } else {
+      out.push(raw);
+    }
   }
-  return [...found];
-}
-
-function parseGitHubRepo(url) {
-  const u = new URL(url);
-  if (u.hostname !== 'github.com') throw new Error('Not a github.com URL');
-  const parts = u.pathname.split('/').filter(Boolean);
-  if (parts.length < 2) throw new Error('Expected github.com/OWNER/REPO');
-  return { owner: parts[0], repo: parts[1] };
+  return uniq(out);
 }
 
 async function ghApi(pathname, { method = 'GET', body } = {}) {
   const res = await fetch(`https://api.github.com/${pathname}`, {
     method,
     headers: {
-      authorization: `Bearer ${GH_TOKEN}`,
+      ...(GH_TOKEN ? { authorization: `Bearer ${GH_TOKEN}` } : {}),
       accept: 'application/vnd.github+json',
       'user-agent': 'PostSomaBot/1.0'
     },
@@ -107,206 +143,263 @@ async function fetchGitHubRepoMeta(owner, repo) {
   };
 }
 
-function sanitizeHierTag(t) {
-  const out = String(t || '').trim().toLowerCase().replace(/[^a-z0-9\/-]+/g, '-');
-  return out.replace(/^-+|-+$/g, '').replace(/\/+/, '/');
-}
-
-function uniq(arr) {
-  return [...new Set(arr)];
-}
-
-function tryParseJson(text) {
-  try {
-    const start = text.indexOf('{');
-    const end = text.lastIndexOf('}');
-    if (start === -1 || end === -1 || end <= start) return null;
-    return JSON.parse(text.slice(start, end + 1));
-  } catch {
-    return null;
+/** Post a comment on the issue (printed instead with --dry-run). */
+async function reply(body) {
+  if (args.dryRun) {
+    console.log(body);
+    return;
   }
+  await ghApi(`repos/${REPO_SLUG}/issues/${ISSUE_NUMBER}/comments`, { method: 'POST', body: { body } });
 }
 
-async function geminiEnrich({ url, title, description }) {
-  if (!GEMINI_API_KEY) return null;
-  const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/gemini-1.5-flash:generateContent?key=${encodeURIComponent(GEMINI_API_KEY)}`;
-  const prompt = `You are writing an English knowledge-base entry for a \"Web Intel\" library.
-
-Return strictly VALID JSON with keys:
-- summary: exactly ONE sentence, <=160 chars, no surrounding quotes
-- highlights: array of 2 short bullet phrases (<=60 chars each)
-- tags: array of 1-3 hierarchical tags using / (lowercase)
-- notes_md: short Markdown with these sections (no H1):
-  - What it is
-  - Why it matters
-  - How to try
-  Keep it concise.
-
-Rules:
-- Do NOT include any other keys.
-- Do NOT wrap in markdown code fences.
-- Do NOT include URLs (we add the link separately).
-
-Input:
-URL: ${url}
-Title hint: ${title}
-Description hint: ${description || ''}
-`;
-
-  const res = await fetch(endpoint, {
-    method: 'POST',
-    headers: { 'content-type': 'application/json' },
-    body: JSON.stringify({
-      contents: [{ role: 'user', parts: [{ text: prompt }] }],
-      generationConfig: { temperature: 0.4, maxOutputTokens: 256 }
-    })
-  });
-  if (!res.ok) {
-    const t = await res.text().catch(() => '');
-    throw new Error(`Gemini API failed: ${res.status} ${t}`);
-  }
-  const data = await res.json();
-  const text = data?.candidates?.[0]?.content?.parts?.map(p => p.text).filter(Boolean).join('') || '';
-  const json = tryParseJson(text);
-  if (!json) return null;
-
-  let summary = typeof json.summary === 'string' ? json.summary.trim() : null;
-  if (summary) {
-    // Remove accidental surrounding quotes
-    summary = summary.replace(/^"+|"+$/g, '').trim();
-  }
-  const out = {
-    summary,
-    highlights: Array.isArray(json.highlights) ? json.highlights.map(x => String(x).trim()).filter(Boolean) : [],
-    tags: Array.isArray(json.tags) ? json.tags.map(sanitizeHierTag).filter(Boolean) : [],
-    notes_md: typeof json.notes_md === 'string' ? json.notes_md.trim() : null
-  };
-  if (out.summary && out.summary.length > 160) out.summary = out.summary.slice(0, 160);
-  out.highlights = out.highlights.slice(0, 2).map(h => h.slice(0, 60));
-  out.tags = uniq(out.tags).slice(0, 3);
-  if (out.notes_md && out.notes_md.length > 2000) out.notes_md = out.notes_md.slice(0, 2000);
-  return out;
+function llmErrorText(e) {
+  return e ? `llm_${e.reason || 'error'}: ${e.message}` : null;
 }
 
-function readJsonl(p) {
-  if (!fs.existsSync(p)) return [];
-  return fs.readFileSync(p, 'utf8').split(/\n/).filter(Boolean).map(l => {
-    try { return JSON.parse(l); } catch { return null; }
-  }).filter(Boolean);
+/** Record fields for a GitHub repo (GitHub API + notes LLM). */
+async function repoRecord({ owner, repo }) {
+  const url = normalizeUrl(`https://github.com/${owner}/${repo}`);
+  const meta = await fetchGitHubRepoMeta(owner, repo);
+  let llmError = null;
+  const enrich = await llmEnrichNotes({ url, title: meta.full_name, description: meta.description })
+    .catch(e => { llmError = e; return null; });
+
+  const record = {
+    url,
+    canonical_url: url,
+    title: meta.full_name,
+    summary: clampSummary(enrich?.summary ?? meta.description),
+    tags: (enrich?.tags?.length ? enrich.tags : ['dev/open-source']),
+    source: { type: 'github', owner, repo, issue: Number(ISSUE_NUMBER) },
+    enrichment: {
+      sources: ['github', ...(enrich ? [enrich.provider] : [])],
+      ...(llmError ? { llm_error: llmErrorText(llmError) } : {})
+    },
+    content: {
+      highlights: enrich?.highlights ?? [],
+      repo: url,
+      image: gitHubSocialImage(owner, repo),
+      homepage: homepageUrl(meta.homepage),
+      metrics: {
+        stars: meta.stars,
+        forks: meta.forks,
+        language: meta.language,
+        license: meta.license,
+        updated_at: meta.updated_at,
+        pushed_at: meta.pushed_at
+      }
+    }
+  };
+  return { record, enrich, label: meta.full_name };
 }
 
-function writeJsonl(p, items) {
-  fs.mkdirSync(path.dirname(p), { recursive: true });
-  fs.writeFileSync(p, items.map(x => JSON.stringify(x)).join('\n') + '\n', 'utf8');
+/**
+ * Record fields for any other page (page metadata + notes LLM). JSON-LD
+ * pricing/platform only fill what `prev` does not have yet.
+ */
+async function pageRecord(rawUrl, canonical, prev) {
+  const page = await fetchPage(canonical);
+  if (page && page.status >= 400) throw new Error(`${canonical} answered HTTP ${page.status}`);
+  const meta = page?.meta ?? {};
+  const title = meta.title ? decodeHtmlEntities(meta.title).replace(/\s+/g, ' ').trim().slice(0, 120) : null;
+  const description = cleanSummary(meta.description);
+
+  let llmError = null;
+  const enrich = await llmEnrichNotes({ url: canonical, title: title || '', description })
+    .catch(e => { llmError = e; return null; });
+
+  const record = {
+    url: rawUrl,
+    canonical_url: canonical,
+    title: title || canonical,
+    summary: clampSummary(enrich?.summary ?? description),
+    tags: enrich?.tags ?? [],
+    source: { type: 'issue', issue: Number(ISSUE_NUMBER) },
+    enrichment: {
+      sources: [...(page?.meta ? ['page'] : []), ...(enrich ? [enrich.provider] : [])],
+      ...(llmError ? { llm_error: llmErrorText(llmError) } : {})
+    },
+    content: {
+      highlights: enrich?.highlights ?? [],
+      image: meta.image ?? null,
+      ...jsonLdContent(meta.jsonld, prev?.content)
+    }
+  };
+  return { record, enrich, label: title || canonical };
 }
 
-function isoNow() {
-  return new Date().toISOString();
+/**
+ * Issue-form answers win over fetched values; the note is appended once.
+ * Tags an item already has are kept unless the form gives new ones.
+ */
+function applyForm(record, form, prev) {
+  if (form.tags.length) record.tags = form.tags;
+  else if (prev?.tags?.length) delete record.tags;
+  record.content = { ...(prev?.content || {}), ...record.content };
+  if (form.pricing) record.content.pricing = form.pricing;
+  if (form.platform.length) record.content.platform = form.platform;
+  if (form.best_for) record.content.best_for = form.best_for;
+  if (form.note) {
+    const prevNote = prev?.raw?.text;
+    const text = !prevNote ? form.note : prevNote.includes(form.note) ? prevNote : `${prevNote}\n\n${form.note}`;
+    record.raw = { ...(prev?.raw || {}), text };
+  }
 }
 
-function makeNotesMd({ meta, enrich, url }) {
-  const hl = enrich?.highlights?.length ? enrich.highlights.map(h => `- ${h}`).join('\n') : '- (auto)';
-  const tags = enrich?.tags?.length ? enrich.tags.join(', ') : '(none)';
-  const summary = (enrich?.summary || meta.description || '').trim();
-
-  const body = enrich?.notes_md
-    ? `${enrich.notes_md.trim()}\n\n`
-    : '';
-
-  return `# ${meta.full_name}\n\n` +
-    (summary ? `**Summary:** ${summary}\n\n` : '') +
-    (body ? body : '') +
-    `## Highlights\n${hl}\n\n` +
-    `## Metadata\n` +
-    `- Stars: ${meta.stars}\n` +
-    `- Forks: ${meta.forks}\n` +
-    `- Language: ${meta.language || 'unknown'}\n` +
-    `- License: ${meta.license || 'unknown'}\n` +
-    `- Updated: ${meta.updated_at}\n\n` +
-    `## Tags\n${tags}\n\n` +
-    `## Link\n${url}\n`;
+/** Fresh record for an existing item; `source`, tags and the editor note stay as curated. */
+async function refreshRecord(item) {
+  const gh = parseGitHubRepo(item.canonical_url || item.url);
+  const { record, enrich } = gh
+    ? await repoRecord(gh)
+    : await pageRecord(item.url, item.canonical_url || item.url, item);
+  const { source, tags, url, canonical_url, ...patch } = record;
+  if (!patch.summary) delete patch.summary;
+  // Without the LLM there is nothing better than the highlights already kept
+  if (!enrich) delete patch.content.highlights;
+  patch.content = { ...(item.content || {}), ...patch.content };
+  patch.enrichment = { at: nowIso(), ...patch.enrichment };
+  return { patch, notes: enrich?.notes_md ?? undefined };
 }
 
-async function main() {
-  const issue = await ghApi(`repos/${REPO_SLUG}/issues/${ISSUE_NUMBER}`);
-  const text = `${issue.title || ''}\n\n${issue.body || ''}`;
-  const urls = extractGitHubRepoUrls(text);
+async function ingestIssue(issue) {
+  const form = parseIssueSubmission({ title: issue.title, body: issue.body });
+  const urls = submissionUrls(form.urls);
 
   if (!urls.length) {
-    await ghApi(`repos/${REPO_SLUG}/issues/${ISSUE_NUMBER}/comments`, {
-      method: 'POST',
-      body: { body: 'No GitHub repo links found in this issue.' }
-    });
+    await reply('No links found in this issue.');
     return;
   }
 
-  const items = readJsonl(TOOLS_PATH);
-  const now = isoNow();
+  const items = loadItems(TOOLS_PATH);
+  const resolver = createUrlResolver();
+  const now = nowIso();
 
   const results = [];
 
   for (const u of urls) {
-    const canonical = normalizeUrl(u);
-    const { owner, repo } = parseGitHubRepo(canonical);
-    const meta = await fetchGitHubRepoMeta(owner, repo);
-    const enrich = await geminiEnrich({ url: canonical, title: meta.full_name, description: meta.description }).catch(() => null);
-
-    const id = `tool_${sha1(canonical).slice(0, 12)}`;
-    const idx = items.findIndex(it => it.id === id);
-
-    const record = {
-      id,
-      url: canonical,
-      canonical_url: canonical,
-      title: meta.full_name,
-      summary: enrich?.summary ?? meta.description ?? null,
-      tags: (enrich?.tags?.length ? enrich.tags : ['dev/open-source']),
-      language: 'en',
-      source: {
-        type: 'github',
-        owner,
-        repo,
-        issue: Number(ISSUE_NUMBER)
-      },
-      status: 'enriched',
-      created_at: idx >= 0 ? (items[idx].created_at || now) : now,
-      updated_at: now,
-      content: {
-        highlights: enrich?.highlights ?? [],
-        repo: canonical,
-        metrics: {
-          stars: meta.stars,
-          forks: meta.forks,
-          language: meta.language,
-          license: meta.license,
-          updated_at: meta.updated_at,
-          pushed_at: meta.pushed_at
-        }
+    const gh = parseGitHubRepo(u);
+    let built;
+    let prev;
+    try {
+      if (gh) {
+        built = await repoRecord(gh);
+        prev = findById(items, makeId(built.record.canonical_url));
+      } else {
+        // Items stored before resolution existed have ids from the plain normalized URL
+        prev = findItem(items, u);
+        const canonical = prev?.canonical_url || (await resolver.resolve(u)).url;
+        prev ||= findById(items, makeId(canonical));
+        built = await pageRecord(prev?.url || u, canonical, prev);
       }
-    };
+    } catch (e) {
+      results.push({ label: u, url: u, error: e.message });
+      continue;
+    }
+
+    const { record, enrich, label } = built;
+    const id = prev?.id || makeId(record.canonical_url);
+    record.id = id;
+    record.updated_at = now;
+    record.enrichment = { at: now, ...record.enrichment };
+    applyForm(record, form, prev);
+    // Submitted again from another issue (edits of the same issue re-ingest)
+    if (prev && prev.source?.issue !== Number(ISSUE_NUMBER)) {
+      record.metrics = { ...(prev.metrics || {}), saved_count: (Number(prev.metrics?.saved_count) || 1) + 1 };
+    }
+
+    // No placeholder summaries: without one the item waits in inbox for enrich/an editor
+    const status = record.summary ? 'enriched' : 'inbox';
+
+    // Existing items keep their place in the lifecycle; only inbox moves forward.
+    if (prev) {
+      if (!record.summary) delete record.summary;
+    } else {
+      Object.assign(record, {
+        language: 'en',
+        status,
+        created_at: now,
+        history: initialHistory(status, { actor: ACTOR, at: now })
+      });
+    }
+
+    const candidate = structuredClone(mergeRecord(prev, record));
+    const advance = prev && candidate.summary && canTransition(prev.status, 'enriched');
+    if (advance) transition(candidate, 'enriched', { actor: ACTOR, at: now });
+    const errors = validateItem(candidate);
+    if (errors.length) {
+      results.push({ id, label, url: record.canonical_url, error: `schema: ${formatErrors(errors)}` });
+      continue;
+    }
+
+    const { item, created } = upsertItem(items, record);
+    if (advance) transition(item, 'enriched', { actor: ACTOR, at: now });
+
+    if (!args.dryRun) writeNotes(item, { body: enrich?.notes_md ?? undefined });
+
+    results.push({ id, label, url: item.canonical_url, updated: !created, status: item.status });
+  }
+
+  if (!args.dryRun) {
+    resolver.save();
+    if (results.some(r => !r.error)) saveItems(items, TOOLS_PATH);
+  }
+
+  const lines = results.map(r => r.error
+    ? `- ${r.label} → rejected (${r.error})\n  ${r.url}`
+    : `- ${r.label} → ${r.id} ${r.updated ? '(updated)' : '(new)'}${r.status === 'inbox' ? ', no summary yet (left in inbox)' : ''}\n  ${r.url}`).join('\n');
+  const warnings = form.warnings.length ? `\n\n${form.warnings.map(w => `> ${w}`).join('\n')}` : '';
+  await reply(`Saved to database:\n\n${lines}${warnings}`);
 
-    if (idx >= 0) items[idx] = { ...items[idx], ...record };
-    else items.push(record);
+  // Close issue
+  if (!args.dryRun) {
+    await ghApi(`repos/${REPO_SLUG}/issues/${ISSUE_NUMBER}`, {
+      method: 'PATCH',
+      body: { state: 'closed' }
+    });
+  }
+}
 
-    fs.mkdirSync(NOTES_DIR, { recursive: true });
-    fs.writeFileSync(path.join(NOTES_DIR, `${id}.md`), makeNotesMd({ meta, enrich, url: canonical }), 'utf8');
+async function applyComment(issue, comment) {
+  if (issue.pull_request) return console.log('Pull request comment; ignored.');
+  if (comment.user?.type === 'Bot') return console.log('Bot comment; ignored.');
+  const commands = parseIssueCommands(comment.body);
+  if (!commands.length) return console.log('No commands in comment.');
+  if (!CURATOR_ASSOCIATIONS.has(comment.author_association)) {
+    return console.log(`Commands from ${comment.user?.login} (${comment.author_association}) ignored.`);
+  }
+
+  const items = loadItems(TOOLS_PATH);
+  const actor = `issue-comment:${comment.user?.login || 'unknown'}`;
+  const changed = new Map();
+  const notesBodies = new Map();
+  const sections = [];
 
-    results.push({ id, repo: meta.full_name, url: canonical, updated: idx >= 0 });
+  const refresh = async item => {
+    const { patch, notes } = await refreshRecord(item).catch(e => {
+      throw new CommandError(`refresh failed: ${e.message}`);
+    });
+    notesBodies.set(item.id, notes);
+    return { patch };
+  };
+
+  for (const command of commands) {
+    const res = await runIssueCommand(items, command, { issueNumber: Number(ISSUE_NUMBER), actor, at: nowIso(), refresh });
+    sections.push(res.reply);
+    if (res.item && res.changes.length) changed.set(res.item.id, res.item);
   }
 
-  writeJsonl(TOOLS_PATH, items);
+  if (changed.size && !args.dryRun) {
+    saveItems(items, TOOLS_PATH);
+    for (const item of changed.values()) writeNotes(findById(items, item.id), { body: notesBodies.get(item.id) });
+  }
 
-  const lines = results.map(r => `- ${r.repo} → ${r.id} ${r.updated ? '(updated)' : '(new)'}\n  ${r.url}`).join('\n');
-  await ghApi(`repos/${REPO_SLUG}/issues/${ISSUE_NUMBER}/comments`, {
-    method: 'POST',
-    body: { body: `Saved to database:\n\n${lines}` }
-  });
+  await reply(sections.join('\n\n'));
+}
 
-  // Close issue
-  await ghApi(`repos/${REPO_SLUG}/issues/${ISSUE_NUMBER}`, {
-    method: 'PATCH',
-    body: { state: 'closed' }
-  });
+async function main() {
+  if (EVENT_NAME === 'issue_comment') return applyComment(EVENT.issue, EVENT.comment);
+  const issue = EVENT?.issue ?? await ghApi(`repos/${REPO_SLUG}/issues/${ISSUE_NUMBER}`);
+  return ingestIssue(issue);
 }
 
 await main();
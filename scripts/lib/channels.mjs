@@ -0,0 +1,146 @@
+/**
+ * Inbox chats and output channels (config/channels.json)
+ *
+ *   {
+ *     "inboxes": [
+ *       { "id": "main", "chat_id_env": "INBOX_CHAT_ID", "admins_env": "INBOX_ADMIN_IDS" },
+ *       { "id": "ai", "chat_id": "-1001234567890", "tags": ["ai"], "admins": ["123456789"] }
+ *     ],
+ *     "channels": [
+ *       { "id": "main", "chat_id_env": "CHANNEL_CHAT_ID" },
+ *       { "id": "devtools", "chat_id_env": "DEVTOOLS_CHAT_ID",
+ *         "route": { "tags": ["dev/*"], "sources": ["github"], "inboxes": ["main"] },
+ *         "format": "telegram-mdv2", "max_per_day": 2 }
+ *     ]
+ *   }
+ *
+ * Chat ids are given directly (`chat_id`) or read from an env var
+ * (`chat_id_env`), so they can stay in repository secrets. Inbox `tags` are
+ * added to every item collected there; items record the inbox id in
+ * `source.inbox`. Inbox `admins` (Telegram user ids, or a comma-separated
+ * list in the env var `admins_env`) are the only members whose commands
+ * run; without any, everyone in the chat can run them.
+ *
+ * A channel takes the items its `route` matches: every key present must
+ * match (`tags`: any of the item's tags, `ns/*` covers the namespace;
+ * `sources`: `source.type`, e.g. `tg`, `github` for repos and `issue` for
+ * other links filed through issues; `inboxes`: `source.inbox`). No route means
+ * everything. `format` and `max_per_day` override POST_FORMAT and
+ * config/schedule.json for the channel; `backfill_days` (default 1) is how
+ * recently an item must have gone out elsewhere for the channel to follow
+ * with it. Without the file there is one inbox and one channel, both
+ * `main`, from INBOX_CHAT_ID / CHANNEL_CHAT_ID.
+ *
+ * `item.published` maps channel id → publication
+ * ({ channel, chat_id, post_id, posted_at, format, media, image, edited_at, retracted_at }).
+ */
+
+import fs from 'node:fs';
+
+export const CHANNELS_CONFIG_PATH = 'config/channels.json';
+
+export const DEFAULT_CHANNEL_ID = 'main';
+
+const DEFAULTS = {
+  inboxes: [{ id: DEFAULT_CHANNEL_ID, chat_id_env: 'INBOX_CHAT_ID', admins_env: 'INBOX_ADMIN_IDS' }],
+  channels: [{ id: DEFAULT_CHANNEL_ID, chat_id_env: 'CHANNEL_CHAT_ID' }]
+};
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]*$/;
+const ROUTE_KEYS = ['tags', 'sources', 'inboxes'];
+
+function resolveChatId(entry, env) {
+  const value = entry.chat_id ?? (entry.chat_id_env ? env[entry.chat_id_env] : null);
+  return value != null && value !== '' ? String(value) : null;
+}
+
+function resolveAdmins(entry, env) {
+  const list = entry.admins ?? (entry.admins_env ? String(env[entry.admins_env] || '').split(',') : []);
+  return list.map(a => String(a).trim()).filter(Boolean);
+}
+
+function checkEntries(list, kind, p) {
+  if (!Array.isArray(list) || !list.length) throw new Error(`${p}: "${kind}" must be a non-empty array`);
+  const seen = new Set();
+  for (const e of list) {
+    if (!ID_RE.test(String(e?.id))) throw new Error(`${p}: bad ${kind} id ${JSON.stringify(e?.id)} (lowercase letters, digits, _ and -)`);
+    if (seen.has(e.id)) throw new Error(`${p}: duplicate ${kind} id ${e.id}`);
+    seen.add(e.id);
+  }
+}
+
+/**
+ * Read config/channels.json (defaults without it) and resolve chat ids from
+ * `env`. Entries whose chat id is unset keep `chat_id: null`; scripts that
+ * need it complain.
+ */
+export function loadChannelsConfig(p = CHANNELS_CONFIG_PATH, env = process.env) {
+  const raw = fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, 'utf8')) : {};
+  const config = { ...DEFAULTS, ...raw };
+  checkEntries(config.inboxes, 'inboxes', p);
+  checkEntries(config.channels, 'channels', p);
+
+  for (const c of config.channels) {
+    for (const key of Object.keys(c.route || {})) {
+      if (!ROUTE_KEYS.includes(key)) throw new Error(`${p}: channel ${c.id} has unknown route key ${key} (${ROUTE_KEYS.join(', ')})`);
+    }
+  }
+
+  return {
+    inboxes: config.inboxes.map(i => ({ ...i, tags: i.tags || [], chat_id: resolveChatId(i, env), admins: resolveAdmins(i, env) })),
+    channels: config.channels.map(c => ({ ...c, route: c.route || null, chat_id: resolveChatId(c, env) }))
+  };
+}
+
+/** Channel by id; throws on unknown ids (typos in --channel). */
+export function getChannel(config, id) {
+  const hit = config.channels.find(c => c.id === id);
+  if (!hit) throw new Error(`Unknown channel: ${id} (configured: ${config.channels.map(c => c.id).join(', ')})`);
+  return hit;
+}
+
+/** Inbox whose chat is `chatId`, or null. */
+export function inboxForChat(config, chatId) {
+  return config.inboxes.find(i => i.chat_id && i.chat_id === String(chatId)) || null;
+}
+
+/** Whether Telegram user `userId` may run commands in `inbox`. */
+export function isInboxAdmin(inbox, userId) {
+  return !inbox.admins.length || (userId != null && inbox.admins.includes(String(userId)));
+}
+
+/** `ai` matches the tag ai only; `ai/*` matches ai and everything under it. */
+export function tagMatches(pattern, tag) {
+  if (pattern.endsWith('/*')) {
+    const ns = pattern.slice(0, -2);
+    return tag === ns || tag.startsWith(`${ns}/`);
+  }
+  return tag === pattern;
+}
+
+/** Whether `item` goes to `channel`. */
+export function routes(channel, item) {
+  const r = channel.route;
+  if (!r) return true;
+  if (r.tags && !(item.tags || []).some(t => r.tags.some(p => tagMatches(p, t)))) return false;
+  if (r.sources && !r.sources.includes(item.source?.type)) return false;
+  if (r.inboxes && !r.inboxes.includes(item.source?.inbox)) return false;
+  return true;
+}
+
+/** [channelId, publication] pairs of `item`. */
+export function publications(item) {
+  return Object.entries(item.published || {});
+}
+
+/** Publication still live in `channelId` (posted, not retracted), or null. */
+export function livePublication(item, channelId) {
+  const pub = item.published?.[channelId];
+  return pub?.post_id && !pub.retracted_at ? pub : null;
+}
+
+/** When the item first went out in any channel, or null. */
+export function firstPostedAt(item) {
+  const times = publications(item).map(([, p]) => p.posted_at).filter(Boolean).sort();
+  return times[0] ?? null;
+}
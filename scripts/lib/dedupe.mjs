@@ -0,0 +1,199 @@
+/**
+ * Near-duplicate detection: the same tool submitted as different URLs (repo,
+ * homepage, docs site, launch page) gets distinct ids, so exact id matching
+ * misses it. Items are linked when they
+ *
+ *   - share a GitHub repo (`content.repo` or a github.com canonical URL)
+ *   - one is the other's GitHub `homepage`
+ *   - have the same title and the same site
+ *   - a GitHub repo's name is the other's domain name (owner/foo ↔ foo.dev)
+ *   - have near-identical summaries (token Jaccard ≥ threshold)
+ *
+ * Linked items form clusters; the most advanced item of each cluster is the
+ * primary and the others get `duplicate_of`.
+ */
+
+import { parseGitHubRepo } from './meta.mjs';
+import { STATUSES, releaseSlot } from './lifecycle.mjs';
+import { uniq } from './store.mjs';
+
+export const DEFAULT_SIMILARITY = 0.8;
+
+// Shorter title/domain keys are too generic to identify a tool
+const MIN_KEY_LENGTH = 4;
+const MIN_TOKENS = 5;
+
+// Host labels that say nothing about the product (docs.foo.io → foo)
+const GENERIC_LABELS = new Set(['www', 'docs', 'app', 'get', 'try', 'blog', 'api', 'dev', 'beta']);
+
+const STOPWORDS = new Set([
+  'the', 'and', 'for', 'with', 'your', 'you', 'that', 'this', 'from', 'into', 'are', 'its', 'any', 'all', 'can', 'via'
+]);
+
+export function isDuplicate(item) {
+  return Boolean(item?.duplicate_of);
+}
+
+function itemUrl(item) {
+  return item.canonical_url || item.url;
+}
+
+function parseUrl(u) {
+  try {
+    return new URL(/^https?:\/\//i.test(u) ? u : `https://${u}`);
+  } catch {
+    return null;
+  }
+}
+
+function site(u) {
+  return u ? u.hostname.toLowerCase().replace(/^www\./, '') : null;
+}
+
+/** host + path, case- and slash-insensitive: "example.com/tool". */
+function pageKey(url) {
+  const u = parseUrl(url || '');
+  return u ? `${site(u)}${u.pathname.replace(/\/+$/, '')}`.toLowerCase() : null;
+}
+
+/** github.com/owner/repo (lowercase) for repo items, else null. */
+export function repoKey(item) {
+  const gh = parseGitHubRepo(item.content?.repo || '') || parseGitHubRepo(itemUrl(item) || '');
+  return gh ? `github.com/${gh.owner}/${gh.repo}`.toLowerCase() : null;
+}
+
+/** Title reduced to alphanumerics; GitHub "owner/name" titles keep the name. */
+export function titleKey(title) {
+  const t = String(title || '').trim().toLowerCase();
+  const name = /^[\w.-]+\/[\w.-]+$/.test(t) ? t.split('/')[1] : t;
+  const key = name.replace(/[^\p{L}\p{N}]+/gu, '');
+  return key.length >= MIN_KEY_LENGTH ? key : null;
+}
+
+/** Product name from a host: "docs.foo-bar.io" → "foobar". */
+function domainName(host) {
+  const labels = String(host || '').split('.').filter(l => !GENERIC_LABELS.has(l));
+  const name = (labels.length > 1 ? labels[labels.length - 2] : labels[0] || '').replace(/[^a-z0-9]+/g, '');
+  return name.length >= MIN_KEY_LENGTH ? name : null;
+}
+
+export function tokens(text) {
+  const words = String(text || '').toLowerCase().match(/[\p{L}\p{N}]{3,}/gu) || [];
+  return new Set(words.filter(w => !STOPWORDS.has(w)));
+}
+
+/** Jaccard similarity of two token sets. */
+export function similarity(a, b) {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  for (const t of a) if (b.has(t)) shared++;
+  return shared / (a.size + b.size - shared);
+}
+
+function features(item) {
+  const url = parseUrl(itemUrl(item) || '');
+  const repo = repoKey(item);
+  return {
+    item,
+    repo,
+    page: pageKey(itemUrl(item)),
+    homepage: pageKey(item.content?.homepage),
+    site: site(url),
+    title: titleKey(item.title),
+    repoName: repo ? titleKey(repo.split('/')[2]) : null,
+    domain: repo ? null : domainName(site(url)),
+    tokens: tokens(item.summary)
+  };
+}
+
+/** Why `a` and `b` look like the same tool, or null. */
+function linkReason(a, b, threshold) {
+  if (a.repo && a.repo === b.repo) return 'same_repo';
+  if (a.homepage && a.homepage === b.page) return 'homepage';
+  if (b.homepage && b.homepage === a.page) return 'homepage';
+  // Two repos with one name (forks) are different projects
+  if (a.title && a.title === b.title && a.site === b.site && !(a.repo && b.repo)) return 'same_title';
+  if (a.repoName && a.repoName === b.domain) return 'domain';
+  if (b.repoName && b.repoName === a.domain) return 'domain';
+  if (a.tokens.size >= MIN_TOKENS && b.tokens.size >= MIN_TOKENS && similarity(a.tokens, b.tokens) >= threshold) {
+    return 'similar_summary';
+  }
+  return null;
+}
+
+const STATUS_RANK = Object.fromEntries(STATUSES.map((s, i) => [s, i]));
+
+/**
+ * Cluster primary: furthest along the lifecycle (a posted item stays the
+ * one readers saw), then repo items (richest metadata), then the oldest.
+ */
+function comparePrimary(a, b) {
+  return (STATUS_RANK[b.status] ?? -1) - (STATUS_RANK[a.status] ?? -1)
+    || Number(Boolean(repoKey(b))) - Number(Boolean(repoKey(a)))
+    || String(a.created_at || '').localeCompare(String(b.created_at || ''));
+}
+
+/**
+ * Duplicate pairs among `items`. Dropped items and items that already have
+ * a `duplicate_of` key are left alone: `duplicate_of: null` is how editors
+ * mark a false positive as a distinct tool.
+ *
+ * Returns [{ primary, duplicate, reason }] (items, not ids).
+ */
+export function findDuplicates(items, { threshold = DEFAULT_SIMILARITY } = {}) {
+  const pool = items.filter(it => it.status !== 'dropped' && !('duplicate_of' in it)).map(features);
+
+  // Union-find over the pool; reasons kept per joined item
+  const parent = pool.map((_, i) => i);
+  const root = i => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+  const reasons = new Map();
+
+  for (let i = 0; i < pool.length; i++) {
+    for (let j = i + 1; j < pool.length; j++) {
+      const reason = linkReason(pool[i], pool[j], threshold);
+      if (!reason) continue;
+      const [ri, rj] = [root(i), root(j)];
+      if (ri !== rj) parent[rj] = ri;
+      if (!reasons.has(pool[j].item.id)) reasons.set(pool[j].item.id, reason);
+      if (!reasons.has(pool[i].item.id)) reasons.set(pool[i].item.id, reason);
+    }
+  }
+
+  const clusters = new Map();
+  pool.forEach((f, i) => {
+    const r = root(i);
+    clusters.set(r, [...(clusters.get(r) || []), f.item]);
+  });
+
+  const out = [];
+  for (const members of clusters.values()) {
+    if (members.length < 2) continue;
+    const [primary, ...rest] = [...members].sort(comparePrimary);
+    for (const duplicate of rest) out.push({ primary, duplicate, reason: reasons.get(duplicate.id) });
+  }
+  return out;
+}
+
+/**
+ * Mark `duplicate` as a copy of `primary` and fold its tags, highlights and
+ * missing content links into the primary. Both are modified in place; a
+ * scheduled duplicate gives up its slot.
+ */
+export function mergeDuplicate(primary, duplicate, { reason, at, actor = 'dedupe' }) {
+  primary.tags = uniq([...(primary.tags || []), ...(duplicate.tags || [])]);
+
+  const pc = { ...(primary.content || {}) };
+  const dc = duplicate.content || {};
+  const highlights = uniq([...(pc.highlights || []), ...(dc.highlights || [])]);
+  if (highlights.length) pc.highlights = highlights;
+  for (const k of ['repo', 'homepage', 'image', 'best_for']) {
+    if (!pc[k] && dc[k]) pc[k] = dc[k];
+  }
+  primary.content = pc;
+  primary.updated_at = at;
+
+  duplicate.duplicate_of = primary.id;
+  duplicate.duplicate_reason = reason;
+  duplicate.updated_at = at;
+  releaseSlot(duplicate, { actor, at, reason: `duplicate of ${primary.id}` });
+}
@@ -0,0 +1,35 @@
+/**
+ * Field-level diff between two versions of an item.
+ */
+
+function isPlainObject(v) {
+  return v != null && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Returns [{ path, before, after }] for every changed leaf. Arrays are
+ * compared as a whole; missing keys show up as undefined.
+ */
+export function diffObjects(before, after, prefix = '') {
+  const out = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const k of keys) {
+    const p = prefix ? `${prefix}.${k}` : k;
+    const a = before?.[k];
+    const b = after?.[k];
+    if (isPlainObject(a) && isPlainObject(b)) {
+      out.push(...diffObjects(a, b, p));
+    } else if (JSON.stringify(a) !== JSON.stringify(b)) {
+      out.push({ path: p, before: a, after: b });
+    }
+  }
+  return out;
+}
+
+/** Unified-diff-ish text: one `- path: old` / `+ path: new` pair per change. */
+export function formatDiff(changes) {
+  return changes.map(c => [
+    c.before === undefined ? null : `- ${c.path}: ${JSON.stringify(c.before)}`,
+    c.after === undefined ? null : `+ ${c.path}: ${JSON.stringify(c.after)}`
+  ].filter(Boolean).join('\n')).join('\n');
+}
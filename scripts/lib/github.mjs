@@ -0,0 +1,117 @@
+/**
+ * GitHub repository metrics: conditional API fetches and the snapshot
+ * history behind star velocity.
+ *
+ * data/github_metrics.jsonl is append-only, one snapshot per line:
+ *
+ *   {"id":"tool_…","repo":"owner/name","at":"…","etag":"W/\"…\"",
+ *    "stars":120,"forks":8,"open_issues":3,"pushed_at":"…","archived":false}
+ *
+ * The latest snapshot's ETag is sent as If-None-Match; GitHub answers 304
+ * for unchanged repos, which does not count against the rate limit.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { readJsonl } from './store.mjs';
+
+export const METRICS_HISTORY_PATH = 'data/github_metrics.jsonl';
+
+// Star velocity compares the latest snapshot with one about this old
+export const VELOCITY_WINDOW_DAYS = 30;
+// Shorter spans say more about the timing of the runs than about the repo
+const VELOCITY_MIN_DAYS = 1;
+
+const DAY_MS = 24 * 3600 * 1000;
+const GONE_STATUSES = new Set([404, 410, 451]);
+
+export class RateLimitError extends Error {
+  constructor(message, { resetAt = null } = {}) {
+    super(message);
+    this.name = 'RateLimitError';
+    this.resetAt = resetAt;
+  }
+}
+
+/**
+ * GET repos/<owner>/<repo>, conditional on `etag`. Resolves
+ *   { status: 'ok', etag, data } | { status: 'not_modified', etag } | { status: 'gone', code }
+ * Renamed repos are followed (the redirect is transparent to fetch).
+ * Throws RateLimitError when the rate limit is used up, Error otherwise.
+ */
+export async function fetchRepo(owner, repo, { etag = null, token = process.env.GITHUB_TOKEN, timeoutMs = 10000 } = {}) {
+  const headers = {
+    'user-agent': 'PostSomaBot/1.0',
+    accept: 'application/vnd.github+json'
+  };
+  if (token) headers.authorization = `Bearer ${token}`;
+  if (etag) headers['if-none-match'] = etag;
+
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  let res;
+  try {
+    res = await fetch(`https://api.github.com/repos/${owner}/${repo}`, { headers, signal: ctrl.signal });
+  } finally {
+    clearTimeout(t);
+  }
+
+  if (res.status === 304) return { status: 'not_modified', etag: res.headers.get('etag') || etag };
+  if (GONE_STATUSES.has(res.status)) return { status: 'gone', code: res.status };
+  if ((res.status === 403 || res.status === 429) && res.headers.get('x-ratelimit-remaining') === '0') {
+    const reset = Number(res.headers.get('x-ratelimit-reset'));
+    throw new RateLimitError('GitHub API rate limit exceeded', {
+      resetAt: reset ? new Date(reset * 1000).toISOString() : null
+    });
+  }
+  if (!res.ok) throw new Error(`GitHub API repos/${owner}/${repo}: HTTP ${res.status}`);
+  return { status: 'ok', etag: res.headers.get('etag'), data: await res.json() };
+}
+
+/** `content.metrics` fields from a repos API response. */
+export function repoMetrics(data) {
+  return {
+    stars: data.stargazers_count ?? null,
+    forks: data.forks_count ?? null,
+    open_issues: data.open_issues_count ?? null,
+    language: data.language ?? null,
+    license: data.license?.spdx_id ?? data.license?.key ?? null,
+    updated_at: data.updated_at ?? null,
+    pushed_at: data.pushed_at ?? null,
+    archived: Boolean(data.archived)
+  };
+}
+
+/** Snapshots by item id, oldest first. */
+export function loadMetricsHistory(p = METRICS_HISTORY_PATH) {
+  const byId = new Map();
+  for (const s of readJsonl(p)) {
+    if (!byId.has(s.id)) byId.set(s.id, []);
+    byId.get(s.id).push(s);
+  }
+  for (const list of byId.values()) list.sort((a, b) => a.at.localeCompare(b.at));
+  return byId;
+}
+
+export function appendSnapshots(snapshots, p = METRICS_HISTORY_PATH) {
+  if (!snapshots.length) return;
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  fs.appendFileSync(p, snapshots.map(s => JSON.stringify(s)).join('\n') + '\n', 'utf8');
+}
+
+/**
+ * Stars gained per week between the latest snapshot and the last one taken
+ * at least `windowDays` before it (else the oldest). Null until the
+ * snapshots span a day.
+ */
+export function starVelocity(snapshots, { windowDays = VELOCITY_WINDOW_DAYS } = {}) {
+  const points = (snapshots || []).filter(s => Number.isFinite(s.stars));
+  if (points.length < 2) return null;
+  const last = points[points.length - 1];
+  const lastMs = Date.parse(last.at);
+  const cutoff = lastMs - windowDays * DAY_MS;
+  const base = points.filter(s => Date.parse(s.at) <= cutoff).pop() ?? points[0];
+  const days = (lastMs - Date.parse(base.at)) / DAY_MS;
+  if (days < VELOCITY_MIN_DAYS) return null;
+  return Math.round(((last.stars - base.stars) / days) * 7 * 10) / 10;
+}
@@ -0,0 +1,227 @@
+/**
+ * Metadata extraction from an HTML document's <head>.
+ *
+ * A small tolerant tokenizer instead of per-field regexes: attributes in any
+ * order, either quote style (or none), entity-encoded values, comments and
+ * <script>/<style> bodies are handled the same way everywhere.
+ *
+ * Extracted: <title>, meta description, Open Graph, Twitter cards,
+ * <link rel=canonical>, favicon, <html lang>, declared charset and JSON-LD
+ * (SoftwareApplication / WebApplication / MobileApplication / Product).
+ */
+
+// Stop reading a page once its head is this far in without a </head>
+export const MAX_HEAD_BYTES = 1_000_000;
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ',
+  hellip: '…', mdash: '—', ndash: '–', middot: '·', bull: '•',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  copy: '©', reg: '®', trade: '™', deg: '°', times: '×', euro: '€'
+};
+
+export function decodeHtmlEntities(s) {
+  return String(s).replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (m, ent) => {
+    if (ent[0] === '#') {
+      const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      try {
+        return code > 0 ? String.fromCodePoint(code) : m;
+      } catch {
+        return m;
+      }
+    }
+    return NAMED_ENTITIES[ent.toLowerCase()] ?? m;
+  });
+}
+
+const oneLine = s => decodeHtmlEntities(s).replace(/\s+/g, ' ').trim();
+
+/** charset label from a Content-Type header value, or null. */
+export function charsetFromContentType(value) {
+  const m = String(value || '').match(/charset\s*=\s*["']?([\w.:-]+)/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+// <meta charset> / http-equiv Content-Type within the first 1024 bytes (the
+// HTML spec's prescan window); bytes read as latin1 so this works for any
+// ASCII-compatible encoding.
+function sniffCharset(bytes) {
+  const head = Buffer.from(bytes.subarray(0, 1024)).toString('latin1');
+  const m = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w.:-]+)/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+/**
+ * Decode a response body. Priority: BOM, Content-Type charset, <meta charset>,
+ * UTF-8. Unknown labels fall back to UTF-8. Returns { html, charset }.
+ */
+export function decodeHtml(bytes, contentType = null) {
+  let charset = null;
+  if (bytes[0] === 0xef && bytes[1] === 0xbb && bytes[2] === 0xbf) charset = 'utf-8';
+  else if (bytes[0] === 0xff && bytes[1] === 0xfe) charset = 'utf-16le';
+  else if (bytes[0] === 0xfe && bytes[1] === 0xff) charset = 'utf-16be';
+  charset = charset || charsetFromContentType(contentType) || sniffCharset(bytes) || 'utf-8';
+
+  let decoder;
+  try {
+    decoder = new TextDecoder(charset);
+  } catch {
+    charset = 'utf-8';
+    decoder = new TextDecoder('utf-8');
+  }
+  return { html: decoder.decode(bytes), charset: decoder.encoding };
+}
+
+function parseAttrs(src) {
+  const attrs = {};
+  const re = /([^\s"'<>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  for (const m of src.matchAll(re)) {
+    const name = m[1].toLowerCase();
+    if (name in attrs) continue; // first occurrence wins, as in browsers
+    attrs[name] = decodeHtmlEntities(m[2] ?? m[3] ?? m[4] ?? '');
+  }
+  return attrs;
+}
+
+// Elements whose content is raw text (no tags inside)
+const RAW_TEXT = new Set(['title', 'script', 'style', 'noscript', 'template', 'textarea']);
+
+/**
+ * Tokenize the document up to </head> (or <body>). Returns
+ * { lang, elements: [{ tag, attrs, text? }] } for title/meta/link/script/base.
+ */
+export function parseHead(html) {
+  const out = { lang: null, elements: [] };
+  const tagRe = /<!--[\s\S]*?(?:-->|$)|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\?[^>]*>|<(\/?)([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+
+  let m;
+  while ((m = tagRe.exec(html))) {
+    const [, closing, rawName, rawAttrs] = m;
+    if (!rawName) continue;
+    const tag = rawName.toLowerCase();
+    if (closing) {
+      if (tag === 'head') break;
+      continue;
+    }
+    if (tag === 'body') break;
+
+    const attrs = parseAttrs(rawAttrs || '');
+    if (tag === 'html') {
+      if (attrs.lang) out.lang = attrs.lang.trim();
+      continue;
+    }
+
+    if (RAW_TEXT.has(tag) && !/\/\s*$/.test(rawAttrs || '')) {
+      const end = html.toLowerCase().indexOf(`</${tag}`, tagRe.lastIndex);
+      const text = html.slice(tagRe.lastIndex, end === -1 ? html.length : end);
+      tagRe.lastIndex = end === -1 ? html.length : end;
+      if (tag === 'title' || tag === 'script') out.elements.push({ tag, attrs, text });
+      continue;
+    }
+
+    if (tag === 'meta' || tag === 'link' || tag === 'base') out.elements.push({ tag, attrs });
+  }
+  return out;
+}
+
+// Resolve against the page; only http(s) URLs are kept
+function absoluteUrl(src, base) {
+  if (!src) return null;
+  try {
+    const u = new URL(src.trim(), base || undefined);
+    return u.protocol === 'https:' || u.protocol === 'http:' ? u.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+const APP_TYPES = ['SoftwareApplication', 'WebApplication', 'MobileApplication', 'VideoGame', 'Product'];
+
+function jsonLdNodes(value) {
+  if (Array.isArray(value)) return value.flatMap(jsonLdNodes);
+  if (!value || typeof value !== 'object') return [];
+  return [value, ...jsonLdNodes(value['@graph'])];
+}
+
+function typesOf(node) {
+  return [].concat(node['@type'] || []).map(t => String(t).replace(/^.*[/#:]/, ''));
+}
+
+function firstOffer(offers) {
+  const list = [].concat(offers || []);
+  return list.find(o => o && typeof o === 'object') || null;
+}
+
+/**
+ * First application/product node from the page's JSON-LD blocks, reduced to
+ * the fields the catalog can use. Malformed blocks are skipped.
+ */
+function extractJsonLd(scripts) {
+  for (const s of scripts) {
+    let data;
+    try {
+      data = JSON.parse(s.text.trim().replace(/^<!--|-->$/g, ''));
+    } catch {
+      continue;
+    }
+    const node = jsonLdNodes(data).find(n => typesOf(n).some(t => APP_TYPES.includes(t)));
+    if (!node) continue;
+
+    const offer = firstOffer(node.offers);
+    const price = offer ? Number(offer.price ?? offer.lowPrice) : NaN;
+    const category = [].concat(node.applicationCategory || []).join(', ');
+    const os = [].concat(node.operatingSystem || []).join(',');
+    const image = [].concat(node.image || [])[0];
+    return {
+      type: typesOf(node).find(t => APP_TYPES.includes(t)),
+      name: node.name ? oneLine(node.name) : null,
+      description: node.description ? oneLine(node.description) : null,
+      category: category || null,
+      operating_system: os ? os.split(/\s*,\s*/).filter(Boolean) : [],
+      price: Number.isFinite(price) ? price : null,
+      price_currency: offer?.priceCurrency || null,
+      image: typeof image === 'string' ? image : image?.url ?? null
+    };
+  }
+  return null;
+}
+
+/**
+ * Extract page metadata from an HTML string. `baseUrl` (the final response
+ * URL) resolves relative canonical/image/favicon links; a <base href> wins.
+ */
+export function extractHtmlMeta(html, baseUrl = null) {
+  const { lang, elements } = parseHead(html);
+
+  const base = absoluteUrl(elements.find(e => e.tag === 'base' && e.attrs.href)?.attrs.href, baseUrl) || baseUrl;
+  const metas = elements.filter(e => e.tag === 'meta');
+  const links = elements.filter(e => e.tag === 'link' && e.attrs.href);
+
+  // property= (Open Graph) and name= (Twitter, description) are both used for either in the wild
+  const meta = key => {
+    const hit = metas.find(e => [e.attrs.property, e.attrs.name, e.attrs.itemprop]
+      .some(k => k && k.trim().toLowerCase() === key) && e.attrs.content?.trim());
+    return hit ? oneLine(hit.attrs.content) : null;
+  };
+  const link = rel => links.find(e => (e.attrs.rel || '').toLowerCase().split(/\s+/).includes(rel))?.attrs.href ?? null;
+
+  const titleEl = elements.find(e => e.tag === 'title');
+  const jsonld = extractJsonLd(elements.filter(e => e.tag === 'script' && /ld\+json/i.test(e.attrs.type || '')));
+  const declared = metas.find(e => e.attrs.charset)?.attrs.charset
+    || charsetFromContentType(metas.find(e => (e.attrs['http-equiv'] || '').toLowerCase() === 'content-type')?.attrs.content);
+
+  return {
+    title: meta('og:title') || meta('twitter:title') || (titleEl ? oneLine(titleEl.text) : null) || jsonld?.name || null,
+    description: meta('og:description') || meta('twitter:description') || meta('description') || jsonld?.description || null,
+    image: absoluteUrl(meta('og:image') || meta('og:image:url') || meta('og:image:secure_url')
+      || meta('twitter:image') || meta('twitter:image:src') || jsonld?.image, base),
+    canonical: absoluteUrl(link('canonical') || meta('og:url'), base),
+    site_name: meta('og:site_name') || meta('application-name'),
+    type: meta('og:type'),
+    lang: lang || meta('og:locale'),
+    favicon: absoluteUrl(link('icon') || link('shortcut') || link('apple-touch-icon') || '/favicon.ico', base),
+    twitter_card: meta('twitter:card'),
+    charset: declared ? declared.trim().toLowerCase() : null,
+    jsonld
+  };
+}
@@ -0,0 +1,241 @@
+/**
+ * Telegram inbox pipeline: updates → items, notes and command replies.
+ * Shared by polling (scripts/tg_ingest.mjs) and the webhook server
+ * (scripts/tg_webhook.mjs), so both treat a message the same way.
+ *
+ * - messages count from every inbox chat in config/channels.json; items
+ *   record the inbox id in `source.inbox` and get the inbox's `tags`
+ * - links (entities, bare domains, forwarded channel posts) become inbox
+ *   items, resolved to their canonical URL; the rest of the message is the
+ *   editor note (`raw.text`), hashtags the initial tags
+ * - a link-less reply adds its text to the notes of the replied-to items
+ * - a link that is already stored counts as a resubmission
+ *   (`metrics.saved_count`); reactions to an inbox message are counted on
+ *   its items (`metrics.reactions`); both feed lib/score.mjs
+ * - bot commands (lib/inbox_commands.mjs) are applied in order and answered
+ *   in-thread once the batch is saved
+ *
+ * data/tg_state.json `last_update_id` is shared too: updates at or below it
+ * were already handled (Telegram redelivers webhooks; polling re-reads after
+ * a failed run) and are skipped.
+ */
+
+import {
+  TOOLS_PATH, loadItems, saveItems, upsertItem, normalizeUrl, makeId, readJson, writeJson, nowIso,
+  sanitizeHierTag, uniq
+} from './store.mjs';
+import { validateItem, formatErrors } from './schema.mjs';
+import { initialHistory } from './lifecycle.mjs';
+import { createUrlResolver } from './urls.mjs';
+import { parseInboxMessage } from './tg_message.mjs';
+import { parseCommand, runCommand } from './inbox_commands.mjs';
+import { inboxForChat, isInboxAdmin } from './channels.mjs';
+
+export const TG_STATE_PATH = 'data/tg_state.json';
+
+// Telegram leaves reactions out unless asked for (getUpdates / setWebhook
+// allowed_updates); the bot must be an admin of the inbox chat to get them
+export const INBOX_UPDATE_TYPES = [
+  'message', 'edited_message', 'channel_post', 'edited_channel_post', 'message_reaction', 'message_reaction_count'
+];
+
+export function readTgState(p = TG_STATE_PATH) {
+  return readJson(p, { last_update_id: null });
+}
+
+/** Append a curator note to raw.text (separate messages, separate paragraphs). */
+function addNote(item, note, at) {
+  const prev = item.raw?.text;
+  item.raw = { ...(item.raw || {}), text: prev ? `${prev}\n\n${note}` : note };
+  item.updated_at = at;
+}
+
+/** Another submission of a stored link. */
+function countResubmission(item) {
+  item.metrics = { ...(item.metrics || {}), saved_count: (Number(item.metrics?.saved_count) || 1) + 1 };
+}
+
+/**
+ * Reaction count after a `message_reaction` (one user's change) or
+ * `message_reaction_count` (anonymous totals) update.
+ */
+function reactionCount(prev, update) {
+  if (update.reactions) return update.reactions.reduce((n, r) => n + (r.total_count || 0), 0);
+  const delta = (update.new_reaction?.length || 0) - (update.old_reaction?.length || 0);
+  return Math.max(0, (Number(prev) || 0) + delta);
+}
+
+/**
+ * Handle one batch of updates end to end: read the store, apply, write the
+ * store and state, then send replies through `tg` (a lib/telegram.mjs
+ * client; replies are skipped without one). `channels` is the
+ * loadChannelsConfig() result; only its inboxes are used.
+ *
+ * Returns { updates, skipped, new_items, resubmissions, reactions, notes, commands, refused, rejected, last_update_id }.
+ */
+export async function ingestUpdates(updates, {
+  channels,
+  botUsername = null,
+  tg = null,
+  resolver = createUrlResolver(),
+  toolsPath = TOOLS_PATH,
+  statePath = TG_STATE_PATH
+}) {
+  const state = readTgState(statePath);
+  const seen = state.last_update_id ?? 0;
+  const fresh = updates.filter(u => typeof u.update_id !== 'number' || u.update_id > seen);
+  let maxUpdateId = seen;
+
+  const items = loadItems(toolsPath);
+  // Existing ids and URLs (submitted and canonical) to avoid duplicates
+  const existingIds = new Set(items.map(it => it.id));
+  const knownUrls = new Set(items.flatMap(it => [it.url, it.canonical_url]).filter(Boolean));
+
+  const replies = [];
+  const stats = { new_items: 0, resubmissions: 0, reactions: 0, notes: 0, commands: 0, refused: 0, rejected: 0 };
+  const itemsFromMessage = (chatId, messageId) =>
+    items.filter(it => it.source?.chat_id === chatId && it.source?.message_id === String(messageId));
+  const storedItem = url => items.find(it => it.url === url || it.canonical_url === url)
+    || items.find(it => it.id === makeId(normalizeUrl(url)));
+  let changed = false;
+
+  for (const u of fresh) {
+    if (typeof u.update_id === 'number') maxUpdateId = Math.max(maxUpdateId, u.update_id);
+
+    const reaction = u.message_reaction || u.message_reaction_count;
+    if (reaction?.chat) {
+      const chatId = String(reaction.chat.id);
+      if (!inboxForChat(channels, chatId)) continue;
+      for (const it of itemsFromMessage(chatId, reaction.message_id)) {
+        it.metrics = { ...(it.metrics || {}), reactions: reactionCount(it.metrics?.reactions, reaction) };
+        stats.reactions++;
+        changed = true;
+      }
+      continue;
+    }
+
+    const msg = u.message || u.edited_message || u.channel_post || u.edited_channel_post;
+    if (!msg || !msg.chat) continue;
+    // Edits re-send links that were counted the first time
+    const isEdit = Boolean(u.edited_message || u.edited_channel_post);
+
+    const chatId = String(msg.chat.id);
+    const inbox = inboxForChat(channels, chatId);
+    if (!inbox) continue;
+
+    // Group upgraded to supergroup: later messages arrive under the new id
+    if (msg.migrate_to_chat_id) {
+      console.error(`Inbox ${inbox.id} (chat ${chatId}) migrated to ${msg.migrate_to_chat_id}; update its chat id.`);
+      continue;
+    }
+
+    const author = msg.from?.username || msg.from?.first_name || null;
+
+    // Bot commands: applied in order with the links around them, answered
+    // in-thread. Editing a command message does not run it again.
+    const command = parseCommand(msg.text, { botUsername });
+    if (command && isEdit) continue;
+    if (command && !isInboxAdmin(inbox, msg.from?.id)) {
+      stats.refused++;
+      replies.push({ chatId, replyTo: msg.message_id, text: 'Only inbox admins can run commands.' });
+      continue;
+    }
+    if (command) {
+      const actor = author ? `tg-inbox:${author}` : 'tg-inbox';
+      const { reply, changed: commandChanged } = runCommand(items, command, { actor, at: nowIso() });
+      changed ||= commandChanged;
+      stats.commands++;
+      replies.push({ chatId, replyTo: msg.message_id, text: reply });
+      continue;
+    }
+
+    const { urls, note, tags, forward } = parseInboxMessage(msg);
+    const createdAt = new Date((msg.date ?? Math.floor(Date.now()/1000)) * 1000).toISOString();
+
+    // A link-less reply is a note on the items of the message it replies to
+    if (!urls.length) {
+      const replyTo = msg.reply_to_message?.message_id;
+      const targets = note && replyTo != null ? itemsFromMessage(chatId, replyTo) : [];
+      for (const it of targets) addNote(it, note, createdAt);
+      stats.notes += targets.length;
+      changed ||= targets.length > 0;
+      continue;
+    }
+
+    const resubmitted = prev => {
+      if (!prev || isEdit || (prev.source?.chat_id === chatId && prev.source?.message_id === String(msg.message_id))) return;
+      countResubmission(prev);
+      stats.resubmissions++;
+      changed = true;
+    };
+
+    for (const rawUrl of urls) {
+      // Items stored before resolution existed have ids from the plain normalized URL
+      if (knownUrls.has(rawUrl) || existingIds.has(makeId(normalizeUrl(rawUrl)))) {
+        resubmitted(storedItem(rawUrl));
+        continue;
+      }
+      const { url: canonical } = await resolver.resolve(rawUrl);
+      const id = makeId(canonical);
+      if (existingIds.has(id) || knownUrls.has(canonical)) {
+        resubmitted(items.find(it => it.id === id) || storedItem(canonical));
+        continue;
+      }
+
+      const item = {
+        id,
+        url: rawUrl,
+        canonical_url: canonical,
+        title: canonical, // placeholder; we can enrich later
+        summary: null,
+        tags: uniq([...inbox.tags.map(sanitizeHierTag), ...tags].filter(Boolean)),
+        language: 'en',
+        source: {
+          type: 'tg',
+          chat_id: chatId,
+          message_id: String(msg.message_id ?? ''),
+          author,
+          inbox: inbox.id,
+          ...(forward ? { forward } : {})
+        },
+        raw: { text: note },
+        status: 'inbox',
+        created_at: createdAt,
+        updated_at: null,
+        history: initialHistory('inbox', { actor: 'tg-ingest', at: createdAt })
+      };
+
+      const errors = validateItem(item);
+      if (errors.length) {
+        console.error(`Rejected ${id} (${rawUrl}): ${formatErrors(errors)}`);
+        stats.rejected++;
+        continue;
+      }
+
+      // Stored right away so later commands in the same batch can see it
+      upsertItem(items, item);
+      existingIds.add(id);
+      knownUrls.add(rawUrl).add(canonical);
+      stats.new_items++;
+      changed = true;
+    }
+  }
+
+  resolver.save();
+  if (changed) saveItems(items, toolsPath);
+  if (maxUpdateId > seen) writeJson(statePath, { ...state, last_update_id: maxUpdateId });
+
+  // Replies go out once the changes they report are saved; a failed reply
+  // does not undo them
+  for (const r of tg ? replies : []) {
+    await tg.sendMessage(r.chatId, r.text, { parseMode: null, replyTo: r.replyTo })
+      .catch(e => console.error(`Reply to message ${r.replyTo} failed: ${e.message}`));
+  }
+
+  return {
+    updates: updates.length,
+    skipped: updates.length - fresh.length,
+    ...stats,
+    last_update_id: maxUpdateId || state.last_update_id
+  };
+}
@@ -0,0 +1,186 @@
+/**
+ * Curation commands in the Telegram inbox chat.
+ *
+ *   /status <id|url>          where an item is in the pipeline
+ *   /drop <id> [reason]       → dropped
+ *   /shortlist <id>           → shortlisted
+ *   /tag <id> a/b [-c/d]      add tags (a leading `-` removes one)
+ *   /queue [n]                next n scheduled posts (default 5)
+ *   /publish <id>             make it due now (the publisher still takes the best-scored due item first)
+ *   /help
+ *
+ * Commands change items through the lifecycle like every other script and
+ * are validated before anything is applied. runCommand() returns the reply
+ * text; nothing here talks to Telegram.
+ */
+
+import { findItem, sanitizeHierTag, uniq } from './store.mjs';
+import { transition, TransitionError } from './lifecycle.mjs';
+import { validateItem, formatErrors } from './schema.mjs';
+import { isDuplicate } from './dedupe.mjs';
+import { isDeadLink } from './links.mjs';
+import { publications } from './channels.mjs';
+import { currentScores } from './score.mjs';
+
+export class CommandError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CommandError';
+  }
+}
+
+const QUEUE_DEFAULT = 5;
+const QUEUE_MAX = 20;
+
+/**
+ * `/cmd@Bot arg1 arg2` → { name: 'cmd', args: ['arg1', 'arg2'], rest } or
+ * null. Commands addressed to another bot (`@OtherBot`) are ignored when
+ * `botUsername` is known.
+ */
+export function parseCommand(text, { botUsername = null } = {}) {
+  const m = String(text || '').match(/^\/([a-z_]+)(?:@(\w+))?(?:\s+([\s\S]*))?$/i);
+  if (!m) return null;
+  if (m[2] && botUsername && m[2].toLowerCase() !== botUsername.toLowerCase()) return null;
+  const rest = (m[3] || '').trim();
+  return { name: m[1].toLowerCase(), args: rest ? rest.split(/\s+/) : [], rest };
+}
+
+function requireItem(items, ref) {
+  if (!ref) throw new CommandError('Missing item id or URL.');
+  const item = findItem(items, ref);
+  if (!item) throw new CommandError(`No item for ${ref}.`);
+  return item;
+}
+
+/**
+ * Apply `change` to a copy of `item`; the copy replaces the item in `items`
+ * only if it still validates. Shared with lib/issue_commands.mjs.
+ */
+export function applyChange(items, item, change) {
+  const candidate = structuredClone(item);
+  try {
+    change(candidate);
+  } catch (e) {
+    if (e instanceof TransitionError) throw new CommandError(`${item.id} is ${e.from}; cannot move to ${e.to}.`);
+    throw e;
+  }
+  const errors = validateItem(candidate);
+  if (errors.length) throw new CommandError(`Refused, the item would be invalid: ${formatErrors(errors)}`);
+  items[items.indexOf(item)] = candidate;
+  return candidate;
+}
+
+/** Status card; the score is computed now, as the scheduler would rank the item. */
+function describe(item, items) {
+  const lines = [
+    `${item.title || item.url}`,
+    `${item.id} · ${item.status}`,
+    item.canonical_url || item.url
+  ];
+  if (item.scheduled_for && item.status === 'scheduled') lines.push(`Scheduled: ${item.scheduled_for}`);
+  for (const [channelId, pub] of publications(item)) {
+    if (pub.posted_at) lines.push(`Posted to ${channelId}: ${pub.posted_at}${pub.retracted_at ? ' (retracted)' : ''}`);
+  }
+  if (item.tags?.length) lines.push(`Tags: ${item.tags.join(', ')}`);
+  if (item.duplicate_of) lines.push(`Duplicate of: ${item.duplicate_of}`);
+  const m = item.metrics || {};
+  const score = currentScores(items).get(item.id);
+  if (score != null) lines.push(`Score: ${score} (saved ${m.saved_count || 1}×, ${m.reactions || 0} reactions)`);
+  if (item.link_status && item.link_status !== 'ok') lines.push(`Link: ${item.link_status}${item.link_detail ? ` (${item.link_detail})` : ''}`);
+  if (!(item.summary || '').trim()) lines.push('No summary yet.');
+  if (item.enrichment?.error) lines.push(`Enrichment error: ${item.enrichment.error}`);
+  return lines.join('\n');
+}
+
+const HELP = [
+  '/status <id|url> — where an item is',
+  '/drop <id> [reason] — drop it',
+  '/shortlist <id> — shortlist it',
+  '/tag <id> ai/agents [-old/tag] — add/remove tags',
+  `/queue [n] — next scheduled posts (default ${QUEUE_DEFAULT})`,
+  '/publish <id> — make it due now'
+].join('\n');
+
+const COMMANDS = {
+  help: () => ({ reply: HELP, changed: false }),
+  start: () => ({ reply: HELP, changed: false }),
+
+  status(items, { args }) {
+    return { reply: describe(requireItem(items, args[0]), items), changed: false };
+  },
+
+  drop(items, { args }, { actor, at }) {
+    const item = requireItem(items, args[0]);
+    const reason = args.slice(1).join(' ') || null;
+    const out = applyChange(items, item, it => transition(it, 'dropped', { actor, at, reason }));
+    return { reply: `Dropped ${out.id}${reason ? ` (${reason})` : ''}.`, changed: true };
+  },
+
+  shortlist(items, { args }, { actor, at }) {
+    const item = requireItem(items, args[0]);
+    const out = applyChange(items, item, it => transition(it, 'shortlisted', { actor, at }));
+    return { reply: `Shortlisted ${out.id}.`, changed: true };
+  },
+
+  tag(items, { args }, { at }) {
+    const item = requireItem(items, args[0]);
+    const add = args.slice(1).filter(t => !t.startsWith('-')).map(sanitizeHierTag).filter(Boolean);
+    const remove = new Set(args.slice(1).filter(t => t.startsWith('-')).map(t => sanitizeHierTag(t.slice(1))));
+    if (!add.length && !remove.size) throw new CommandError('Usage: /tag <id> ai/agents [-old/tag]');
+    const out = applyChange(items, item, it => {
+      it.tags = uniq([...(it.tags || []), ...add]).filter(t => !remove.has(t));
+      it.updated_at = at;
+    });
+    return { reply: `${out.id} tags: ${out.tags.join(', ') || '(none)'}`, changed: true };
+  },
+
+  queue(items, { args }) {
+    const n = Math.min(Math.max(Number(args[0]) || QUEUE_DEFAULT, 1), QUEUE_MAX);
+    const queued = items
+      .filter(it => it.status === 'scheduled' && !isDuplicate(it))
+      .sort((a, b) => String(a.scheduled_for || '').localeCompare(String(b.scheduled_for || '')))
+      .slice(0, n);
+    if (!queued.length) return { reply: 'Nothing scheduled.', changed: false };
+    return {
+      reply: queued.map((it, i) => `${i + 1}) ${it.scheduled_for || 'unscheduled'} — ${it.title} (${it.id})`).join('\n'),
+      changed: false
+    };
+  },
+
+  publish(items, { args }, { actor, at }) {
+    const item = requireItem(items, args[0]);
+    if (item.status === 'posted') throw new CommandError(`${item.id} is already posted.`);
+    if (isDuplicate(item)) throw new CommandError(`${item.id} is a duplicate of ${item.duplicate_of}.`);
+    if (isDeadLink(item)) throw new CommandError(`${item.id} has a ${item.link_status} link (${item.link_detail || 'see check_links'}).`);
+    if (!(item.summary || '').trim()) throw new CommandError(`${item.id} has no summary yet.`);
+    const out = applyChange(items, item, it => {
+      if (it.status === 'scheduled') {
+        it.scheduled_for = at;
+        it.updated_at = at;
+      } else {
+        transition(it, 'scheduled', { actor, at, reason: 'publish command', patch: { scheduled_for: at } });
+      }
+    });
+    return {
+      reply: `${out.id} is due now. Each publish run posts the best-scored due item, so it may wait behind others (daily cap permitting).`,
+      changed: true
+    };
+  }
+};
+
+export const COMMAND_NAMES = Object.keys(COMMANDS);
+
+/**
+ * Run a parsed command against `items` (modified in place). Returns
+ * { reply, changed }; user errors become the reply instead of throwing.
+ */
+export function runCommand(items, command, { actor = 'tg-inbox', at = new Date().toISOString() } = {}) {
+  const fn = COMMANDS[command.name];
+  if (!fn) return { reply: `Unknown command /${command.name}.\n\n${HELP}`, changed: false };
+  try {
+    return fn(items, command, { actor, at });
+  } catch (e) {
+    if (e instanceof CommandError) return { reply: e.message, changed: false };
+    throw e;
+  }
+}
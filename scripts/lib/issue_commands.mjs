@@ -0,0 +1,133 @@
+/**
+ * Curation commands in GitHub issue comments.
+ *
+ *   /retag ai/agents dev/cli   replace the tags
+ *   /summary <text>            set the summary (an inbox item moves to enriched)
+ *   /drop [reason]             → dropped
+ *   /priority high|normal|low  scheduler priority
+ *   /refresh                   fetch metadata and re-run the LLM
+ *   /help
+ *
+ * Commands act on the item filed from the issue; when an issue produced
+ * several, the id goes first (`/drop tool_0123456789ab dupe`). One comment
+ * may hold several commands, one per line; other slash words (`/cc`) are
+ * ignored. Like the inbox commands (lib/inbox_commands.mjs), every change
+ * goes through the lifecycle and is validated before it is applied;
+ * nothing here talks to GitHub.
+ */
+
+import { findItem, sanitizeHierTag, uniq } from './store.mjs';
+import { transition } from './lifecycle.mjs';
+import { parseCommand, applyChange, CommandError } from './inbox_commands.mjs';
+import { hashtagToTag } from './tg_message.mjs';
+import { diffObjects, formatDiff } from './diff.mjs';
+
+const ITEM_REF_RE = /^(tool_[a-f0-9]{12}|https?:\/\/\S+)$/;
+const PRIORITIES = ['high', 'normal', 'low'];
+const SUMMARY_MAX = 160;
+
+// Bookkeeping that changes with every command; left out of the reply diff
+const DIFF_IGNORE = ['updated_at', 'history', 'enrichment.at'];
+
+const USAGE = [
+  '/retag ai/agents dev/cli — replace the tags',
+  '/summary <text> — set the summary',
+  '/drop [reason] — drop the item',
+  '/priority high|normal|low — scheduler priority',
+  '/refresh — fetch metadata and regenerate the summary',
+  'Prefix the arguments with the item id when the issue has several items.'
+].join('\n');
+
+/** Known slash commands of a comment, one per line; other lines are ignored. */
+export function parseIssueCommands(body) {
+  return String(body || '').replace(/\r\n/g, '\n').split('\n')
+    .map(l => parseCommand(l.trim()))
+    .filter(c => c && (c.name === 'help' || c.name in COMMANDS));
+}
+
+/**
+ * The item a command is about: an explicit id/URL first argument, else the
+ * only item filed from `issueNumber`. Returns { item, args } with the
+ * reference taken off the arguments.
+ */
+function targetItem(items, { args }, issueNumber) {
+  if (args[0] && ITEM_REF_RE.test(args[0])) {
+    const item = findItem(items, args[0]);
+    if (!item) throw new CommandError(`No item for ${args[0]}.`);
+    return { item, args: args.slice(1) };
+  }
+  const filed = items.filter(it => it.source?.issue === issueNumber);
+  if (!filed.length) throw new CommandError(`No item was filed from issue #${issueNumber}; give the item id.`);
+  if (filed.length > 1) throw new CommandError(`Issue #${issueNumber} has several items (${filed.map(it => it.id).join(', ')}); give the id first.`);
+  return { item: filed[0], args };
+}
+
+const COMMANDS = {
+  retag(items, item, { args }, { at }) {
+    const tags = uniq(args.map(t => (t.startsWith('#') ? hashtagToTag(t) : sanitizeHierTag(t))).filter(Boolean));
+    if (!tags.length) throw new CommandError('Usage: /retag ai/agents dev/cli');
+    return applyChange(items, item, it => Object.assign(it, { tags, updated_at: at }));
+  },
+
+  summary(items, item, { args }, { actor, at }) {
+    const text = args.join(' ').trim().replace(/^["']+|["']+$/g, '').trim();
+    if (!text) throw new CommandError('Usage: /summary <one sentence>');
+    if (text.length > SUMMARY_MAX) throw new CommandError(`Summary is ${text.length} chars; keep it to ${SUMMARY_MAX}.`);
+    return applyChange(items, item, it => {
+      if (it.status === 'inbox') {
+        transition(it, 'enriched', { actor, at, reason: 'summary set', patch: { summary: text } });
+      } else {
+        Object.assign(it, { summary: text, updated_at: at });
+      }
+    });
+  },
+
+  drop(items, item, { args }, { actor, at }) {
+    const reason = args.join(' ') || null;
+    return applyChange(items, item, it => transition(it, 'dropped', { actor, at, reason }));
+  },
+
+  priority(items, item, { args }, { at }) {
+    const p = (args[0] || '').toLowerCase();
+    if (!PRIORITIES.includes(p)) throw new CommandError(`Usage: /priority ${PRIORITIES.join('|')}`);
+    return applyChange(items, item, it => Object.assign(it, { priority: p, updated_at: at }));
+  },
+
+  async refresh(items, item, command, { actor, at, refresh }) {
+    if (!refresh) throw new CommandError('/refresh is not available here.');
+    const { patch } = await refresh(item);
+    return applyChange(items, item, it => {
+      Object.assign(it, patch, { updated_at: at });
+      if (it.summary && it.status === 'inbox') transition(it, 'enriched', { actor, at, reason: 'refresh' });
+    });
+  }
+};
+
+export const ISSUE_COMMAND_NAMES = Object.keys(COMMANDS);
+
+/**
+ * Run one parsed command against `items` (modified in place).
+ * `refresh(item)` resolves { patch } with freshly fetched fields.
+ * Returns { item, changes, reply }: the updated item (null when the
+ * command was refused), the field diff and a Markdown reply section. User
+ * errors become the reply instead of throwing.
+ */
+export async function runIssueCommand(items, command, {
+  issueNumber, actor = 'issue-comment', at = new Date().toISOString(), refresh = null
+} = {}) {
+  const title = `**/${command.name}**`;
+  const fn = COMMANDS[command.name];
+  if (!fn) return { item: null, changes: [], reply: `${title}\n\n${USAGE}` };
+
+  try {
+    const { item: before, args } = targetItem(items, command, issueNumber);
+    const after = await fn(items, before, { ...command, args }, { actor, at, refresh });
+    const changes = diffObjects(before, after)
+      .filter(c => !DIFF_IGNORE.some(p => c.path === p || c.path.startsWith(`${p}.`) || c.path.startsWith(`${p}[`)));
+    const diff = changes.length ? `\n\n\`\`\`diff\n${formatDiff(changes)}\n\`\`\`` : '\n\nNo changes.';
+    return { item: after, changes, reply: `${title} ${after.id}${diff}` };
+  } catch (e) {
+    if (e instanceof CommandError) return { item: null, changes: [], reply: `${title}: ${e.message}` };
+    throw e;
+  }
+}
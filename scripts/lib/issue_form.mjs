@@ -0,0 +1,114 @@
+/**
+ * Tool submissions filed as GitHub issues: links and issue-form fields.
+ *
+ * Issue forms (.github/ISSUE_TEMPLATE/add-tool.yml) render as Markdown
+ * sections, one per field:
+ *
+ *   ### Link
+ *
+ *   https://example.com
+ *
+ *   ### Platform
+ *
+ *   - [x] Web
+ *   - [ ] macOS
+ *
+ * Unanswered fields read "_No response_". Fields are matched by heading, so
+ * hand-written issues using the same headings work too; plain issues are
+ * just scanned for links.
+ */
+
+import { sanitizeHierTag, uniq } from './store.mjs';
+import { hashtagToTag } from './tg_message.mjs';
+
+const URL_RE = /https?:\/\/[^\s<>()[\]"'`]+/g;
+const TRAILING_PUNCT_RE = /[.,;:!?]+$/;
+const NO_RESPONSE_RE = /^_?no response_?$/i;
+
+export const PRICING_VALUES = ['free', 'paid', 'freemium', 'unknown'];
+
+// Heading (normalized) → field
+const FIELD_ALIASES = {
+  link: 'urls', links: 'urls', url: 'urls', urls: 'urls', tool_url: 'urls', website: 'urls',
+  tags: 'tags', tag: 'tags',
+  pricing: 'pricing', price: 'pricing',
+  platform: 'platform', platforms: 'platform',
+  best_for: 'best_for',
+  note: 'note', notes: 'note', editor_note: 'note', editors_note: 'note'
+};
+
+function headingKey(heading) {
+  return heading.toLowerCase().replace(/['’]/g, '').replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+}
+
+/** Every http(s) link in `text`, in order, without sentence punctuation. */
+export function extractUrls(text) {
+  return uniq([...String(text || '').matchAll(URL_RE)].map(m => m[0].replace(TRAILING_PUNCT_RE, '')));
+}
+
+/**
+ * `### Heading` sections of an issue-form body → { key: text }, keys
+ * normalized ("Best for" → best_for). Empty and "_No response_" answers are
+ * left out.
+ */
+export function parseSections(body) {
+  const out = {};
+  const parts = String(body || '').replace(/\r\n/g, '\n').split(/^###[ \t]+(.+)$/m);
+  for (let i = 1; i < parts.length; i += 2) {
+    const value = parts[i + 1].trim();
+    if (value && !NO_RESPONSE_RE.test(value)) out[headingKey(parts[i])] = value;
+  }
+  return out;
+}
+
+// Checkbox lists keep the ticked entries; anything else splits on commas/lines
+function listValues(value) {
+  const lines = value.split('\n').map(l => l.trim()).filter(Boolean);
+  if (lines.some(l => /^[-*] \[[ xX]\]/.test(l))) {
+    return lines.filter(l => /^[-*] \[[xX]\]/.test(l)).map(l => l.replace(/^[-*] \[[xX]\]\s*/, ''));
+  }
+  return value.split(/[,\n]/).map(s => s.replace(/^[-*]\s+/, '').trim()).filter(Boolean);
+}
+
+/**
+ * Parse a submission issue. Returns
+ *   { urls, tags, pricing, platform, best_for, note, warnings }
+ * Fields that were not filled in are null (`tags`/`platform`: []). `urls`
+ * come from the link field when the form has one, else from the whole
+ * title and body. `warnings` lists values that could not be used.
+ */
+export function parseIssueSubmission({ title = '', body = '' } = {}) {
+  const sections = parseSections(body);
+  const fields = {};
+  for (const [key, value] of Object.entries(sections)) {
+    const field = FIELD_ALIASES[key];
+    if (field && !(field in fields)) fields[field] = value;
+  }
+
+  const warnings = [];
+  const out = {
+    urls: fields.urls ? extractUrls(fields.urls) : extractUrls(`${title}\n\n${body}`),
+    tags: [],
+    pricing: null,
+    platform: [],
+    best_for: fields.best_for ? fields.best_for.replace(/\s+/g, ' ') : null,
+    note: fields.note || null,
+    warnings
+  };
+
+  if (fields.tags) {
+    // "#dev_cli" reads like an inbox hashtag (dev/cli); plain entries are tags as written
+    out.tags = uniq(fields.tags.split(/[\s,]+/)
+      .map(t => (t.startsWith('#') ? hashtagToTag(t) : sanitizeHierTag(t))).filter(Boolean));
+  }
+
+  if (fields.pricing) {
+    const p = listValues(fields.pricing)[0]?.toLowerCase() ?? '';
+    if (PRICING_VALUES.includes(p)) out.pricing = p;
+    else warnings.push(`Pricing "${fields.pricing}" is not one of ${PRICING_VALUES.join(', ')}; ignored.`);
+  }
+
+  if (fields.platform) out.platform = uniq(listValues(fields.platform).map(p => p.toLowerCase()));
+
+  return out;
+}
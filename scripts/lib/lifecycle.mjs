@@ -0,0 +1,109 @@
+/**
+ * Item status lifecycle
+ *
+ *   inbox → enriched → shortlisted → scheduled → posted
+ *   every status but dropped → dropped (posted → dropped when retracted)
+ *   dropped → inbox, plus the step-backs listed in TRANSITIONS
+ *
+ * Every change goes through transition(), which refuses illegal jumps and
+ * appends { from, to, at, actor, reason } to item.history.
+ */
+
+export const STATUSES = ['inbox', 'enriched', 'shortlisted', 'scheduled', 'posted', 'dropped'];
+
+// Forward moves plus the few explicit step-backs editors need
+export const TRANSITIONS = {
+  inbox: ['enriched', 'dropped'],
+  enriched: ['shortlisted', 'scheduled', 'posted', 'dropped'],
+  shortlisted: ['scheduled', 'posted', 'enriched', 'dropped'],
+  scheduled: ['posted', 'shortlisted', 'dropped'],
+  posted: ['dropped'],
+  dropped: ['inbox']
+};
+
+// Statuses the publisher picks from, in priority order. Only scheduled items
+// by default: scripts/schedule.mjs decides what goes out when.
+export const DEFAULT_READY_STATUSES = ['scheduled'];
+
+export class TransitionError extends Error {
+  constructor(item, from, to) {
+    super(`Illegal status transition for ${item?.id ?? '(no id)'}: ${from} → ${to}`);
+    this.name = 'TransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Move `item` to status `to` in place. `patch` fields are applied together
+ * with the status change. Throws TransitionError on illegal jumps.
+ */
+export function transition(item, to, { actor = 'unknown', reason = null, at = new Date().toISOString(), patch = {} } = {}) {
+  if (!STATUSES.includes(to)) throw new Error(`Unknown status: ${to}`);
+  const from = item.status;
+  if (!canTransition(from, to)) throw new TransitionError(item, from, to);
+
+  Object.assign(item, patch);
+  item.status = to;
+  item.updated_at = at;
+  item.history = [...(Array.isArray(item.history) ? item.history : []), historyEntry(from, to, { actor, reason, at })];
+  return item;
+}
+
+/**
+ * Give up the posting slot of a scheduled item that must not go out (now a
+ * duplicate, link gone): back to `shortlisted` without `scheduled_for`, so
+ * the scheduler fills the slot and takes the item up again once it
+ * qualifies. Other statuses are left alone. Returns whether it moved.
+ */
+export function releaseSlot(item, { actor = 'unknown', reason = null, at = new Date().toISOString() } = {}) {
+  if (item.status !== 'scheduled') return false;
+  transition(item, 'shortlisted', { actor, reason, at, patch: { scheduled_for: null } });
+  return true;
+}
+
+export function historyEntry(from, to, { actor = 'unknown', reason = null, at = new Date().toISOString() } = {}) {
+  const entry = { from, to, at, actor };
+  if (reason) entry.reason = reason;
+  return entry;
+}
+
+/** History for a freshly created item (from: null). */
+export function initialHistory(status, { actor, at } = {}) {
+  return [historyEntry(null, status, { actor, at })];
+}
+
+/**
+ * Parse a comma-separated status list (e.g. PUBLISH_STATUSES env).
+ * Falls back to DEFAULT_READY_STATUSES when unset. With `to`, every status
+ * must be able to move there (publishing needs `to: 'posted'`).
+ */
+export function parseStatusList(value, fallback = DEFAULT_READY_STATUSES, { to = null } = {}) {
+  if (!value) return fallback;
+  const list = String(value).split(',').map(s => s.trim()).filter(Boolean);
+  for (const s of list) {
+    if (!STATUSES.includes(s)) throw new Error(`Unknown status in list: ${s}`);
+    if (to && !canTransition(s, to)) {
+      throw new Error(`Status ${s} cannot move to ${to} (allowed: ${STATUSES.filter(f => canTransition(f, to)).join(', ')})`);
+    }
+  }
+  return list;
+}
+
+/**
+ * Next item in `statuses` priority order: the first status with any items
+ * wins, then the highest `rank(item)` among them. File order breaks ties
+ * (without `rank`, the first item is taken).
+ */
+export function selectReady(items, statuses = DEFAULT_READY_STATUSES, { rank = null } = {}) {
+  for (const s of statuses) {
+    const hits = items.filter(it => it.status === s);
+    if (!hits.length) continue;
+    return rank ? hits.reduce((best, it) => (rank(it) > rank(best) ? it : best)) : hits[0];
+  }
+  return null;
+}
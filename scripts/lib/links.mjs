@@ -0,0 +1,166 @@
+/**
+ * Link health: probe stored URLs and classify the answer.
+ *
+ * Items record the outcome as `link_status` (+ `link_detail`,
+ * `last_checked_at`):
+ *   ok       2xx after redirects
+ *   dead     404/410/451, or the host no longer resolves
+ *   parked   the domain now shows a parking / for-sale page
+ *   blocked  401/403/429 and friends: a bot wall, says nothing about the link
+ *   error    timeouts, 5xx, network errors; retried on the next run
+ *
+ * Dead and parked items are held out of scheduling and publishing. One
+ * probe is not enough to hold or release an item: a result that would flip
+ * it waits in `link_pending` until the next check agrees. `error` results
+ * (and `blocked` for a held item) say nothing about the link and keep the
+ * recorded status.
+ */
+
+import { fetchPage, parseGitHubRepo } from './meta.mjs';
+
+export const LINK_STATUSES = ['ok', 'dead', 'parked', 'blocked', 'error'];
+
+const DEAD_CODES = new Set([404, 410, 451]);
+const BLOCKED_CODES = new Set([401, 403, 429, 999]);
+const DNS_ERRORS = new Set(['ENOTFOUND', 'EAI_NONAME']);
+
+// Parking / domain-sale services that expired domains redirect to
+const PARKING_HOSTS = [
+  'sedoparking.com', 'sedo.com', 'parkingcrew.net', 'bodis.com', 'dan.com', 'afternic.com',
+  'hugedomains.com', 'above.com', 'parklogic.com', 'undeveloped.com', 'domainmarket.com'
+];
+const PARKED_TITLE_RE = /\b(?:domain (?:name )?(?:is |may be )?for sale|buy this domain|this domain (?:is|has been) (?:parked|registered)|parked (?:free|domain)|domain parking)\b/i;
+
+const USER_AGENT = 'PostSomaBot/1.0 (+https://github.com/pass-ctrl-ai/postsoma-tg-data)';
+
+/** Items whose link is known to be gone; never scheduled or published. */
+export function isDeadLink(item) {
+  return item?.link_status === 'dead' || item?.link_status === 'parked';
+}
+
+const isHeldStatus = s => s === 'dead' || s === 'parked';
+
+/**
+ * Link fields after a check that classified the link as `link_status`
+ * (classifyProbe). Returns { link_status, link_detail, link_pending }.
+ */
+export function linkState(item, { link_status, detail }) {
+  const held = isDeadLink(item);
+  const kept = { link_status: item.link_status ?? null, link_detail: item.link_detail ?? null };
+  const inconclusive = link_status === 'error' || (held && link_status === 'blocked');
+  if (inconclusive) {
+    // Nothing learnt; a pending flip waits for a conclusive check
+    if (!item.link_status) return { link_status, link_detail: detail, link_pending: null };
+    return { ...kept, link_pending: item.link_pending ?? null };
+  }
+  const confirmed = item.link_pending && isHeldStatus(item.link_pending) === isHeldStatus(link_status);
+  if (isHeldStatus(link_status) === held || confirmed) return { link_status, link_detail: detail, link_pending: null };
+  return { ...kept, link_pending: link_status };
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname.toLowerCase().replace(/^www\./, ''); } catch { return null; }
+}
+
+function isParkingHost(host) {
+  return Boolean(host) && PARKING_HOSTS.some(p => host === p || host.endsWith(`.${p}`));
+}
+
+async function head(url, timeoutMs) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method: 'HEAD',
+      redirect: 'follow',
+      signal: ctrl.signal,
+      headers: { 'user-agent': USER_AGENT, accept: 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5' }
+    });
+    return { code: res.status, url: res.url || url };
+  } catch (e) {
+    return { code: null, url, error: e.name === 'AbortError' ? 'timeout' : (e.cause?.code || e.message) };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+/**
+ * HEAD `url`, falling back to GET when HEAD is refused, fails or lands on
+ * another host (a GET shows whether it is a parking page). Never throws.
+ * Returns { code, url (after redirects), method, title, error }.
+ */
+export async function probeUrl(url, { timeoutMs = 10000 } = {}) {
+  const h = await head(url, timeoutMs);
+  if (h.error && DNS_ERRORS.has(h.error)) return { ...h, method: 'HEAD', title: null };
+  // Errors are confirmed with GET: plenty of servers answer HEAD with 403/404/405
+  if (h.code && h.code < 400 && hostOf(h.url) === hostOf(url)) return { ...h, method: 'HEAD', title: null };
+
+  const page = await fetchPage(url, { timeoutMs });
+  if (!page) return { code: h.code, url: h.url, method: 'HEAD', title: null, error: h.error || 'GET failed' };
+  return { code: page.status, url: page.url, method: 'GET', title: page.meta?.title ?? null, error: null };
+}
+
+/**
+ * Classify a probe of `url`. Returns { link_status, detail, renamed_to }:
+ * `renamed_to` is the new repo URL when a GitHub repo redirected to
+ * another owner/name; other sites that moved keep `ok` with the redirect
+ * target in `detail`.
+ */
+export function classifyProbe(url, probe) {
+  const detail = probe.code ? `HTTP ${probe.code} (${probe.method})` : probe.error;
+  const from = parseGitHubRepo(url);
+  const to = probe.url !== url ? parseGitHubRepo(probe.url) : null;
+  const renamed = from && to && `${to.owner}/${to.repo}`.toLowerCase() !== `${from.owner}/${from.repo}`.toLowerCase();
+  const renamed_to = renamed && probe.code < 400 ? `https://github.com/${to.owner}/${to.repo}` : null;
+
+  let link_status;
+  if (!probe.code) link_status = DNS_ERRORS.has(probe.error) ? 'dead' : 'error';
+  else if (DEAD_CODES.has(probe.code)) link_status = 'dead';
+  else if (BLOCKED_CODES.has(probe.code)) link_status = 'blocked';
+  else if (probe.code >= 400) link_status = 'error';
+  else if (hostOf(probe.url) !== hostOf(url) && isParkingHost(hostOf(probe.url))) link_status = 'parked';
+  else if (probe.title && PARKED_TITLE_RE.test(probe.title)) return { link_status: 'parked', detail: `page title "${probe.title}"`, renamed_to: null };
+  else link_status = 'ok';
+
+  const moved = !renamed && hostOf(probe.url) !== hostOf(url) ? `redirects to ${probe.url}` : null;
+  if (link_status === 'ok' || link_status === 'parked') return { link_status, detail: moved, renamed_to };
+  return { link_status, detail, renamed_to };
+}
+
+/**
+ * Run `check(task)` for every task with at most `concurrency` in flight,
+ * one at a time per host and `hostDelayMs` apart on the same host.
+ * `task.url` decides the host. Resolves the results in task order.
+ */
+export async function checkPolitely(tasks, check, { concurrency = 4, hostDelayMs = 1000 } = {}) {
+  const results = new Array(tasks.length);
+  const byHost = new Map();
+  tasks.forEach((task, i) => {
+    const host = hostOf(task.url) || task.url;
+    if (!byHost.has(host)) byHost.set(host, []);
+    byHost.get(host).push(i);
+  });
+
+  let active = 0;
+  const waiting = [];
+  const acquire = () => (active < concurrency ? (active++, Promise.resolve()) : new Promise(r => waiting.push(r)));
+  const release = () => {
+    const next = waiting.shift();
+    if (next) next();
+    else active--;
+  };
+  const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+  await Promise.all([...byHost.values()].map(async indexes => {
+    for (const [n, i] of indexes.entries()) {
+      if (n) await sleep(hostDelayMs);
+      await acquire();
+      try {
+        results[i] = await check(tasks[i]);
+      } finally {
+        release();
+      }
+    }
+  }));
+  return results;
+}
@@ -0,0 +1,214 @@
+/**
+ * LLM provider layer
+ *
+ * A provider is { name, generate(prompt, opts) → Promise<string> }. Backends:
+ *   - gemini:  Google generateContent API
+ *   - openai:  any OpenAI-compatible /chat/completions server (llama.cpp, Ollama, ...)
+ *   - fixture: deterministic canned responses from a JSON file (offline runs, tests)
+ *
+ * generateText() walks a chain of providers: each gets its own timeout and
+ * retries (429/5xx/timeouts only) before falling back to the next.
+ *
+ * Env:
+ *   - LLM_PROVIDERS: comma-separated chain of `backend[:model]`, e.g.
+ *       "gemini:gemini-2.5-pro,gemini:gemini-2.5-flash,openai:llama3.1"
+ *     Default: GEMINI_MODEL + GEMINI_FALLBACK_MODELS when GEMINI_API_KEY is set,
+ *     else `openai` when OPENAI_BASE_URL is set, else no LLM.
+ *   - LLM_RETRIES (default 1), LLM_TIMEOUT_MS (default 15000)
+ *   - GEMINI_API_KEY, GEMINI_MODEL, GEMINI_FALLBACK_MODELS, GEMINI_TIMEOUT_MS
+ *   - OPENAI_BASE_URL (e.g. http://localhost:11434/v1), OPENAI_API_KEY, OPENAI_MODEL, OPENAI_TIMEOUT_MS
+ *   - LLM_FIXTURES (path to fixture JSON; default fixtures/llm/default.json)
+ */
+
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+const DEFAULT_FIXTURES = fileURLToPath(new URL('../../fixtures/llm/default.json', import.meta.url));
+
+export class LlmError extends Error {
+  constructor(message, { provider, status = null, retryable = false } = {}) {
+    super(message);
+    this.name = 'LlmError';
+    this.provider = provider;
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+async function postJson(provider, url, { headers = {}, body, timeoutMs }) {
+  const ctrl = new AbortController();
+  const tmr = setTimeout(() => ctrl.abort(), timeoutMs);
+  try {
+    const res = await fetch(url, {
+      method: 'POST',
+      signal: ctrl.signal,
+      headers: { 'content-type': 'application/json', ...headers },
+      body: JSON.stringify(body)
+    });
+    if (!res.ok) {
+      const t = await res.text().catch(() => '');
+      throw new LlmError(`${provider} failed: ${res.status} ${t}`.trim(), {
+        provider, status: res.status, retryable: isRetryableStatus(res.status)
+      });
+    }
+    return await res.json();
+  } catch (e) {
+    if (e instanceof LlmError) throw e;
+    // AbortError (timeout) and network errors are worth another try
+    throw new LlmError(`${provider} failed: ${e.message}`, { provider, retryable: true });
+  } finally {
+    clearTimeout(tmr);
+  }
+}
+
+export function createGeminiProvider({ apiKey, model, timeoutMs = 15_000 }) {
+  if (!apiKey) throw new Error('Missing env GEMINI_API_KEY');
+  const name = `gemini:${model}`;
+  return {
+    name,
+    async generate(prompt, { temperature = 0.4, maxOutputTokens = 256 } = {}) {
+      const endpoint = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(apiKey)}`;
+      const data = await postJson(name, endpoint, {
+        timeoutMs,
+        body: {
+          contents: [{ role: 'user', parts: [{ text: prompt }] }],
+          generationConfig: { temperature, maxOutputTokens }
+        }
+      });
+      return data?.candidates?.[0]?.content?.parts?.map(p => p.text).filter(Boolean).join('') || '';
+    }
+  };
+}
+
+export function createOpenAIProvider({ baseUrl, apiKey = null, model, timeoutMs = 30_000 }) {
+  if (!baseUrl) throw new Error('Missing env OPENAI_BASE_URL');
+  const name = `openai:${model}`;
+  return {
+    name,
+    async generate(prompt, { temperature = 0.4, maxOutputTokens = 256 } = {}) {
+      const data = await postJson(name, `${baseUrl.replace(/\/+$/, '')}/chat/completions`, {
+        timeoutMs,
+        headers: apiKey ? { authorization: `Bearer ${apiKey}` } : {},
+        body: {
+          model,
+          messages: [{ role: 'user', content: prompt }],
+          temperature,
+          max_tokens: maxOutputTokens
+        }
+      });
+      return data?.choices?.[0]?.message?.content || '';
+    }
+  };
+}
+
+/**
+ * Fixture file shape:
+ *   { "responses": [{ "match": "substring of prompt", "text": "..." }], "default": "..." }
+ * First matching entry wins; `default` is used otherwise. `text` may be a
+ * JSON value, which is returned stringified.
+ */
+export function createFixtureProvider({ path = DEFAULT_FIXTURES, fixtures = null } = {}) {
+  const data = fixtures || JSON.parse(fs.readFileSync(path, 'utf8'));
+  const asText = v => (typeof v === 'string' ? v : JSON.stringify(v));
+  return {
+    name: 'fixture',
+    async generate(prompt) {
+      const hit = (data.responses || []).find(r => prompt.includes(r.match));
+      if (hit) return asText(hit.text);
+      if (data.default != null) return asText(data.default);
+      throw new LlmError('fixture: no response matches prompt', { provider: 'fixture' });
+    }
+  };
+}
+
+function envTimeout(name, fallback) {
+  const v = Number(process.env[name] || process.env.LLM_TIMEOUT_MS || fallback);
+  return Number.isFinite(v) && v > 0 ? v : fallback;
+}
+
+function defaultChainSpec(env) {
+  if (env.GEMINI_API_KEY) {
+    const primary = env.GEMINI_MODEL || 'gemini-2.5-pro';
+    const fallbacks = (env.GEMINI_FALLBACK_MODELS || 'gemini-2.5-flash,gemini-1.5-flash')
+      .split(',').map(s => s.trim()).filter(Boolean).filter(m => m !== primary);
+    return [primary, ...fallbacks].map(m => `gemini:${m}`).join(',');
+  }
+  if (env.OPENAI_BASE_URL) return 'openai';
+  return '';
+}
+
+/**
+ * Build the provider chain from env (or an explicit spec string).
+ * Returns [] when no LLM is configured.
+ */
+export function providersFromEnv(env = process.env, spec = env.LLM_PROVIDERS || defaultChainSpec(env)) {
+  return String(spec).split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const [backend, ...rest] = entry.split(':');
+    const model = rest.join(':') || null;
+    switch (backend) {
+      case 'gemini':
+        return createGeminiProvider({
+          apiKey: env.GEMINI_API_KEY,
+          model: model || env.GEMINI_MODEL || 'gemini-2.5-pro',
+          timeoutMs: envTimeout('GEMINI_TIMEOUT_MS', 15_000)
+        });
+      case 'openai':
+        return createOpenAIProvider({
+          baseUrl: env.OPENAI_BASE_URL,
+          apiKey: env.OPENAI_API_KEY || null,
+          model: model || env.OPENAI_MODEL || 'default',
+          timeoutMs: envTimeout('OPENAI_TIMEOUT_MS', 30_000)
+        });
+      case 'fixture':
+        return createFixtureProvider({ path: model || env.LLM_FIXTURES || DEFAULT_FIXTURES });
+      default:
+        throw new Error(`Unknown LLM backend: ${backend}`);
+    }
+  });
+}
+
+let defaultChain = null;
+
+function getDefaultChain() {
+  if (!defaultChain) defaultChain = providersFromEnv();
+  return defaultChain;
+}
+
+export function llmConfigured() {
+  return getDefaultChain().length > 0;
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/**
+ * Run `prompt` through the provider chain. Resolves { text, provider }, or
+ * null when no provider is configured. Throws the last error if every
+ * provider failed.
+ */
+export async function generateText(prompt, {
+  providers = getDefaultChain(),
+  retries = Number(process.env.LLM_RETRIES ?? 1),
+  backoffMs = 1000,
+  ...opts
+} = {}) {
+  if (!providers.length) return null;
+
+  let lastErr = null;
+  for (const provider of providers) {
+    for (let attempt = 0; attempt <= retries; attempt++) {
+      try {
+        const text = await provider.generate(prompt, opts);
+        return { text, provider: provider.name };
+      } catch (e) {
+        lastErr = e;
+        if (!e.retryable || attempt === retries) break;
+        await sleep(backoffMs * 2 ** attempt);
+      }
+    }
+  }
+  throw lastErr;
+}
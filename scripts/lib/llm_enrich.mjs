@@ -0,0 +1,122 @@
+/**
+ * LLM enrichment prompts (on top of the provider chain in llm.mjs).
+ *
+ *   - llmEnrich():      title, summary, highlights, tags for a post
+ *   - llmEnrichNotes(): summary, highlights, tags + notes_md for notes/<id>.md
+ *
+ * Both resolve null when no LLM provider is configured and throw
+ * StructuredOutputError (with a `reason`) when the reply stays invalid
+ * after one re-prompt. `opts.providers` replaces the env chain (see
+ * scripts/llm_enrich.mjs --check).
+ */
+
+import { sanitizeHierTag, uniq } from './store.mjs';
+import { generateStructured } from './structured.mjs';
+
+// Declared response shapes (JSON Schema subset, see lib/schema.mjs). Lengths
+// are not limited here: overlong strings are clamped after parsing.
+const FIELD_PROPS = {
+  summary: { type: 'string', minLength: 1 },
+  highlights: { type: 'array', items: { type: 'string' } },
+  tags: { type: 'array', items: { type: 'string' } }
+};
+
+export const POST_SHAPE = {
+  type: 'object',
+  required: ['title', 'summary'],
+  properties: { title: { type: 'string', minLength: 1 }, ...FIELD_PROPS }
+};
+
+export const NOTES_SHAPE = {
+  type: 'object',
+  required: ['summary', 'notes_md'],
+  properties: { ...FIELD_PROPS, notes_md: { type: 'string', minLength: 1 } }
+};
+
+function cleanFields(json) {
+  let summary = typeof json.summary === 'string' ? json.summary.trim() : null;
+  // Remove accidental surrounding quotes
+  if (summary) summary = summary.replace(/^"+|"+$/g, '').trim();
+
+  const out = {
+    summary,
+    highlights: Array.isArray(json.highlights) ? json.highlights.map(x => String(x).trim()).filter(Boolean) : [],
+    tags: Array.isArray(json.tags) ? json.tags.map(sanitizeHierTag).filter(Boolean) : [],
+  };
+
+  if (out.summary && out.summary.length > 160) out.summary = out.summary.slice(0, 160);
+  out.highlights = out.highlights.slice(0, 2).map(h => h.slice(0, 60));
+  out.tags = uniq(out.tags).slice(0, 3);
+  return out;
+}
+
+export async function llmEnrich({ url, title, description }, { providers } = {}) {
+  const prompt = `You are writing a Telegram post for an English "Web Intel" channel.
+
+Given a URL and optional hints, generate strictly VALID JSON with keys:
+- title: short, human-friendly (<=80 chars)
+- summary: exactly ONE sentence, <=160 chars, no quotes around it
+- highlights: array of 2 short bullet phrases (each <=60 chars)
+- tags: array of 1-3 hierarchical tags using / (lowercase). Examples: ai/agents, dev/cli, security/privacy, data/etl, ops/infra, design/ui, productivity/automation
+
+Rules:
+- Do NOT include any other keys.
+- Do NOT wrap in markdown.
+- Do NOT include URLs in summary/highlights.
+
+Input:
+URL: ${url}
+Hint title: ${title || ''}
+Hint description: ${description || ''}
+`;
+
+  const res = await generateStructured(prompt, POST_SHAPE, { temperature: 0.4, maxOutputTokens: 512, providers });
+  if (!res) return null;
+
+  const json = res.value;
+  const out = {
+    title: typeof json.title === 'string' ? json.title.trim() : null,
+    ...cleanFields(json),
+    provider: res.provider
+  };
+  if (out.title && out.title.length > 120) out.title = out.title.slice(0, 120);
+  return out;
+}
+
+export async function llmEnrichNotes({ url, title, description }, { providers } = {}) {
+  const prompt = `You are writing an English knowledge-base entry for a "Web Intel" library.
+
+Return strictly VALID JSON with keys:
+- summary: exactly ONE sentence, <=160 chars, no surrounding quotes
+- highlights: array of 2 short bullet phrases (<=60 chars each)
+- tags: array of 1-3 hierarchical tags using / (lowercase)
+- notes_md: short Markdown with these sections (no H1):
+  - What it is
+  - Why it matters
+  - How to try
+  Keep it concise.
+
+Rules:
+- Do NOT include any other keys.
+- Do NOT wrap in markdown code fences.
+- Do NOT include URLs (we add the link separately).
+
+Input:
+URL: ${url}
+Title hint: ${title}
+Description hint: ${description || ''}
+`;
+
+  // notes_md needs more room than the post fields
+  const res = await generateStructured(prompt, NOTES_SHAPE, { temperature: 0.4, maxOutputTokens: 1024, providers });
+  if (!res) return null;
+
+  const json = res.value;
+  const out = {
+    ...cleanFields(json),
+    notes_md: typeof json.notes_md === 'string' ? json.notes_md.trim() : null,
+    provider: res.provider
+  };
+  if (out.notes_md && out.notes_md.length > 2000) out.notes_md = out.notes_md.slice(0, 2000);
+  return out;
+}
@@ -0,0 +1,187 @@
+/**
+ * Page + GitHub metadata fetchers used by the enrich stage.
+ *
+ * All fetchers are best-effort: network errors and non-2xx responses return
+ * empty results instead of throwing.
+ */
+
+import { decodeHtml, decodeHtmlEntities, extractHtmlMeta, MAX_HEAD_BYTES } from './html_meta.mjs';
+
+export { decodeHtmlEntities };
+
+const EMPTY_PAGE_META = Object.freeze({ title: null, description: null, image: null });
+
+// Read the body until the head is complete (or MAX_HEAD_BYTES), as bytes so
+// the charset can be decided before decoding.
+async function readHead(res) {
+  const chunks = [];
+  let size = 0;
+  const reader = res.body.getReader();
+  try {
+    while (size < MAX_HEAD_BYTES) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.length;
+      if (/<\/head\s*>|<body[\s>]/i.test(Buffer.from(value).toString('latin1'))) break;
+    }
+  } finally {
+    reader.cancel().catch(() => {});
+  }
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Fetch a page following redirects. Returns { status, url (after redirects),
+ * meta } where meta is the extractHtmlMeta() result, or null for non-HTML
+ * responses. Network errors and timeouts return null.
+ */
+export async function fetchPage(url, { timeoutMs = 7000 } = {}) {
+  try {
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+    try {
+      const res = await fetch(url, {
+        signal: ctrl.signal,
+        redirect: 'follow',
+        headers: {
+          'user-agent': 'PostSomaBot/1.0 (+https://github.com/pass-ctrl-ai/postsoma-tg-data)',
+          'accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.5'
+        }
+      });
+      const finalUrl = res.url || url;
+      const type = res.headers.get('content-type') || '';
+      if (!res.ok || !res.body || (type && !/html|xml/i.test(type))) {
+        res.body?.cancel().catch(() => {});
+        return { status: res.status, url: finalUrl, meta: null };
+      }
+
+      const { html, charset } = decodeHtml(await readHead(res), type);
+      const meta = extractHtmlMeta(html, finalUrl);
+      return { status: res.status, url: finalUrl, meta: { ...meta, charset: meta.charset || charset } };
+    } finally {
+      clearTimeout(t);
+    }
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Page metadata (see extractHtmlMeta in html_meta.mjs): title, description,
+ * image, canonical, site_name, lang, favicon, charset, jsonld, ...
+ */
+export async function fetchPageMeta(url) {
+  const page = await fetchPage(url);
+  return page?.meta ?? { ...EMPTY_PAGE_META };
+}
+
+/**
+ * GitHub's free-text `homepage` as an absolute http(s) URL, or null
+ * ("example.com" is common; "", "none" and the repo itself are dropped).
+ */
+export function homepageUrl(homepage) {
+  const h = String(homepage || '').trim();
+  if (!h) return null;
+  try {
+    const u = new URL(/^https?:\/\//i.test(h) ? h : `https://${h}`);
+    if (!u.hostname.includes('.') || u.hostname === 'github.com') return null;
+    return u.toString();
+  } catch {
+    return null;
+  }
+}
+
+/** pricing/platform from a page's JSON-LD app node, for fields not yet set. */
+export function jsonLdContent(jsonld, content = {}) {
+  const out = {};
+  if (!jsonld) return out;
+  if ((!content.pricing || content.pricing === 'unknown') && jsonld.price != null) {
+    out.pricing = jsonld.price > 0 ? 'paid' : 'free';
+  }
+  if (!content.platform?.length && jsonld.operating_system.length) {
+    out.platform = [...new Set(jsonld.operating_system.map(s => s.toLowerCase()))];
+  }
+  return out;
+}
+
+/** GitHub's generated social preview card for a repo. */
+export function gitHubSocialImage(owner, repo) {
+  return `https://opengraph.githubassets.com/1/${owner}/${repo}`;
+}
+
+export function cleanSummary(s) {
+  let out = decodeHtmlEntities(String(s || '')).replace(/\s+/g, ' ').trim();
+  // Drop common low-quality / SEO boilerplate
+  const bad = [
+    'Contribute to',
+    'by creating an account on GitHub',
+    'Sign up for',
+    'Subscribe',
+    'cookies',
+    'newsletter',
+  ];
+  if (bad.some(b => out.toLowerCase().includes(b.toLowerCase()))) return null;
+  // Trim trailing boilerplate separators
+  out = out.replace(/\s+[\-|•|·]\s+GitHub\s*$/i, '').trim();
+  return out || null;
+}
+
+/**
+ * Make free text fit the schema's summary rules: one line, no wrapping
+ * quotes, <= 160 chars. Returns null for empty input.
+ */
+export function clampSummary(s) {
+  const out = String(s || '').replace(/\s+/g, ' ').trim().replace(/^["']+|["']+$/g, '').trim();
+  return out ? out.slice(0, 160) : null;
+}
+
+export function parseGitHubRepo(url) {
+  try {
+    const u = new URL(url);
+    if (u.hostname !== 'github.com') return null;
+    const parts = u.pathname.split('/').filter(Boolean);
+    if (parts.length < 2) return null;
+    const owner = parts[0];
+    const repo = parts[1];
+    // ignore pages like /topics, /search
+    if (!owner || !repo) return null;
+    return { owner, repo };
+  } catch {
+    return null;
+  }
+}
+
+export async function fetchGitHubRepoMeta(owner, repo) {
+  try {
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), 5000);
+    const headers = {
+      'user-agent': 'PostSomaBot/1.0',
+      'accept': 'application/vnd.github+json'
+    };
+    // Optional: lifts the unauthenticated 60 req/h limit
+    if (process.env.GITHUB_TOKEN) headers.authorization = `Bearer ${process.env.GITHUB_TOKEN}`;
+    const res = await fetch(`https://api.github.com/repos/${owner}/${repo}`, {
+      signal: ctrl.signal,
+      headers
+    });
+    clearTimeout(t);
+    if (!res.ok) return null;
+    const data = await res.json();
+    return {
+      full_name: data.full_name,
+      description: data.description,
+      stargazers_count: data.stargazers_count,
+      forks_count: data.forks_count,
+      language: data.language,
+      license: data.license?.spdx_id ?? data.license?.key ?? null,
+      updated_at: data.updated_at,
+      pushed_at: data.pushed_at,
+      homepage: data.homepage,
+      topics: data.topics
+    };
+  } catch {
+    return null;
+  }
+}
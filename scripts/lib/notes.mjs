@@ -0,0 +1,81 @@
+/**
+ * Knowledge-base notes: notes/<id>.md, one per item filed through issues.
+ *
+ * The file is rendered from the item, plus an optional free-form body (the
+ * LLM's notes_md) that is kept when a note is regenerated without a new one.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { writeFileAtomic } from './store.mjs';
+
+export const NOTES_DIR = 'notes';
+
+const SUMMARY_RE = /^\*\*Summary:\*\*.*\n\n/m;
+// First section the renderer itself writes after the body
+const AFTER_BODY_RE = /^## (?:Editor note|Highlights)\n/m;
+
+export function notesPath(id, dir = NOTES_DIR) {
+  return path.join(dir, `${id}.md`);
+}
+
+function metadataLines(item) {
+  const c = item.content || {};
+  const m = c.metrics || {};
+  const lines = c.repo
+    ? [['Stars', m.stars], ['Forks', m.forks], ['Language', m.language], ['License', m.license], ['Updated', m.updated_at]]
+    : [['Site', hostOf(item.canonical_url || item.url)]];
+  if (m.stars_per_week != null) lines.push(['Stars/week', m.stars_per_week]);
+  if (m.archived) lines.push(['Archived', 'yes']);
+  if (m.deleted) lines.push(['Deleted', `yes (as of ${m.refreshed_at})`]);
+  if (c.pricing) lines.push(['Pricing', c.pricing]);
+  if (c.platform?.length) lines.push(['Platform', c.platform.join(', ')]);
+  if (c.best_for) lines.push(['Best for', c.best_for]);
+  if (item.priority) lines.push(['Priority', item.priority]);
+  if (item.link_status && item.link_status !== 'ok') lines.push(['Link', `${item.link_status}${item.link_detail ? ` (${item.link_detail})` : ''}, checked ${item.last_checked_at}`]);
+  lines.push(['Status', item.status]);
+  return lines;
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname; } catch { return null; }
+}
+
+export function renderNotes(item, { body = null } = {}) {
+  const highlights = item.content?.highlights?.length ? item.content.highlights.map(h => `- ${h}`).join('\n') : '- (auto)';
+  const summary = (item.summary || '').trim();
+  const note = (item.raw?.text || '').trim();
+
+  return `# ${item.title}\n\n` +
+    (summary ? `**Summary:** ${summary}\n\n` : '') +
+    (body ? `${body.trim()}\n\n` : '') +
+    (note ? `## Editor note\n${note}\n\n` : '') +
+    `## Highlights\n${highlights}\n\n` +
+    `## Metadata\n` +
+    metadataLines(item).map(([k, v]) => `- ${k}: ${v ?? 'unknown'}\n`).join('') + '\n' +
+    `## Tags\n${item.tags?.length ? item.tags.join(', ') : '(none)'}\n\n` +
+    `## Link\n${item.canonical_url || item.url}\n`;
+}
+
+/** The free-form body of an existing note (between summary and the fixed sections), or null. */
+export function readNotesBody(id, dir = NOTES_DIR) {
+  const p = notesPath(id, dir);
+  if (!fs.existsSync(p)) return null;
+  let md = fs.readFileSync(p, 'utf8');
+  const s = md.match(SUMMARY_RE);
+  md = s ? md.slice(s.index + s[0].length) : md.replace(/^# .*\n\n/, '');
+  const end = md.search(AFTER_BODY_RE);
+  const body = (end === -1 ? '' : md.slice(0, end)).trim();
+  return body || null;
+}
+
+/**
+ * Write notes/<id>.md for `item`. `body` undefined keeps the body of the
+ * existing file; null drops it. Returns the path.
+ */
+export function writeNotes(item, { body, dir = NOTES_DIR } = {}) {
+  const p = notesPath(item.id, dir);
+  const keep = body === undefined ? readNotesBody(item.id, dir) : body;
+  writeFileAtomic(p, renderNotes(item, { body: keep }));
+  return p;
+}
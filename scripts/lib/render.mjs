@@ -0,0 +1,182 @@
+/**
+ * Post rendering (Telegram + Markdown) from stored item fields. No network.
+ *
+ * Single-item posts are rendered from templates/post.<format>.tpl (see
+ * lib/template.mjs for the syntax).
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { renderTemplate, escapers } from './template.mjs';
+
+export function safeTitle(item) {
+  const t = (item.title || '').trim();
+  if (t && t !== item.canonical_url && t !== item.url) return t;
+  try {
+    const u = new URL(item.canonical_url || item.url);
+    const host = u.hostname.replace(/^www\./, '');
+    const path = u.pathname && u.pathname !== '/' ? u.pathname : '';
+    return `${host}${path}`;
+  } catch {
+    return (item.canonical_url || item.url || 'Unknown').slice(0, 120);
+  }
+}
+
+export function formatTags(tags) {
+  if (!Array.isArray(tags) || tags.length === 0) return '#webintel';
+  // Convert hierarchical tags to Telegram hashtags by replacing / with _
+  const hashTags = tags
+    .slice(0, 5)
+    .map(t => String(t).trim())
+    .filter(Boolean)
+    .map(t => `#${t.replace(/\//g, '_')}`);
+  return ['#webintel', ...hashTags].join(' ');
+}
+
+export const TEMPLATES_DIR = fileURLToPath(new URL('../../templates/', import.meta.url));
+
+// Output formats: template file, escaping, Telegram parse_mode
+export const POST_FORMATS = {
+  'telegram-html': { file: 'post.telegram-html.tpl', escape: escapers.html, parseMode: 'HTML' },
+  'telegram-mdv2': { file: 'post.telegram-mdv2.tpl', escape: escapers.markdownV2, parseMode: 'MarkdownV2' },
+  markdown: { file: 'post.md.tpl', escape: escapers.markdown, parseMode: null },
+  text: { file: 'post.txt.tpl', escape: escapers.none, parseMode: null }
+};
+
+export function postFormat(name) {
+  const f = POST_FORMATS[name];
+  if (!f) throw new Error(`Unknown post format: ${name} (expected ${Object.keys(POST_FORMATS).join(', ')})`);
+  return f;
+}
+
+/** 1234 → "1.2k", 18595 → "18.6k", 2100000 → "2.1M". */
+export function formatCount(n) {
+  if (!Number.isFinite(n)) return null;
+  if (n >= 1e6) return `${(n / 1e6).toFixed(1).replace(/\.0$/, '')}M`;
+  if (n >= 1e3) return `${(n / 1e3).toFixed(1).replace(/\.0$/, '')}k`;
+  return String(n);
+}
+
+// Stars of a live repo; deleted repos show none
+function starsView(item) {
+  const m = item.content?.metrics;
+  if (!item.content?.repo || !m || m.deleted) return { stars: null, stars_trend: null };
+  const v = Number(m.stars_per_week);
+  return {
+    stars: formatCount(m.stars),
+    stars_trend: v >= 1 ? `+${formatCount(Math.round(v))}/week` : null
+  };
+}
+
+/**
+ * Template view for an item: every stored field, plus derived fields
+ * (title, url, summary, highlights, highlights_line, best_for, stars,
+ * stars_trend, hashtags, tags_line).
+ */
+export function postView(item) {
+  const highlights = (Array.isArray(item.content?.highlights) ? item.content.highlights : [])
+    .map(h => String(h).trim()).filter(Boolean).slice(0, 2);
+  return {
+    ...item,
+    title: safeTitle(item),
+    url: item.canonical_url || item.url,
+    summary: (item.summary || '').trim().slice(0, 160),
+    highlights,
+    highlights_line: highlights.join('; '),
+    best_for: item.content?.best_for || null,
+    ...starsView(item),
+    hashtags: formatTags(item.tags),
+    tags_line: (item.tags || []).join(', ') || '(none)'
+  };
+}
+
+/**
+ * Render a single-item post from stored fields only (no network).
+ */
+export function renderPost(item, format = 'telegram-html') {
+  const f = postFormat(format);
+  const src = fs.readFileSync(path.join(TEMPLATES_DIR, f.file), 'utf8');
+  return renderTemplate(src, postView(item), { escape: f.escape })
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+function itemUrl(item) {
+  return item.canonical_url || item.url;
+}
+
+function topTag(items) {
+  const counts = new Map();
+  for (const it of items) {
+    for (const t of it.tags || []) {
+      const top = String(t).split('/')[0];
+      counts.set(top, (counts.get(top) || 0) + 1);
+    }
+  }
+  let best = null;
+  for (const [t, n] of counts) if (!best || n > counts.get(best)) best = t;
+  return best;
+}
+
+function digestLabel(from, to) {
+  return from === to ? from : `${from} – ${to}`;
+}
+
+/**
+ * Plain-text Telegram digest (FORMAT.md "digest template"), split into as
+ * many messages as needed to stay under `limit` chars. Numbering continues
+ * across parts; the hashtag footer goes on the last part only.
+ */
+export function renderDigestTelegram(items, opts) {
+  return digestParts(items, opts).map(p => p.text);
+}
+
+/** renderDigestTelegram() messages as { text, items } (the items each one lists). */
+export function digestParts(items, { from, to, limit = 4096 }) {
+  const label = digestLabel(from, to);
+  const top = topTag(items);
+  const footer = ['#tools', top ? `#${top.replace(/\//g, '_')}` : null].filter(Boolean).join(' ');
+  const header = n => `Today’s tools (${label})${n ? ` [${n}]` : ''}`;
+
+  // Worst-case header (with part marker) + footer + separators
+  const budget = limit - header('99/99').length - footer.length - 4;
+
+  const entries = items.map((it, i) => {
+    const entry = `${i + 1}) ${safeTitle(it)}\n- ${(it.summary || '').trim()}\n- ${itemUrl(it)}`;
+    return { item: it, text: entry.length > budget ? entry.slice(0, budget) : entry };
+  });
+
+  const chunks = [];
+  let cur = [];
+  let len = 0;
+  for (const e of entries) {
+    const add = e.text.length + 2;
+    if (cur.length && len + add > budget) {
+      chunks.push(cur);
+      cur = [];
+      len = 0;
+    }
+    cur.push(e);
+    len += add;
+  }
+  if (cur.length) chunks.push(cur);
+
+  return chunks.map((c, i) => {
+    const n = chunks.length > 1 ? `${i + 1}/${chunks.length}` : null;
+    const parts = [header(n), ...c.map(e => e.text)];
+    if (i === chunks.length - 1) parts.push(footer);
+    return { text: parts.join('\n\n'), items: c.map(e => e.item) };
+  });
+}
+
+/** Markdown digest for posts/YYYY-MM-DD.md (FORMAT.md §2.2). */
+export function renderDigestMarkdown(items, { from, to }) {
+  const blocks = items.map((it, i) => [
+    `## ${i + 1}) ${safeTitle(it)}`,
+    `- Link: ${itemUrl(it)}`,
+    `- Summary: ${(it.summary || '').trim()}`,
+    `- Tags: ${(it.tags || []).join(', ') || '(none)'}`
+  ].join('\n'));
+  return `# ${digestLabel(from, to)} Tools\n\n${blocks.join('\n\n')}\n`;
+}
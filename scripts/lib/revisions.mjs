@@ -0,0 +1,25 @@
+/**
+ * Revision log of what was sent to Telegram for an item (item.revisions).
+ *
+ * Entries: { action: 'post' | 'edit' | 'retract', at, actor, channel_id, post_id, text?, reason? }
+ */
+
+export function addRevision(item, {
+  action, actor, at = new Date().toISOString(), channel_id = null, post_id = null, text = null, reason = null
+}) {
+  const entry = { action, at, actor, channel_id, post_id };
+  if (text != null) entry.text = text;
+  if (reason) entry.reason = reason;
+  item.revisions = [...(Array.isArray(item.revisions) ? item.revisions : []), entry];
+  return entry;
+}
+
+/**
+ * Text of the last post/edit revision (in `channelId` when given), or null
+ * if none was recorded.
+ */
+export function lastSentText(item, channelId = null) {
+  const hit = [...(item.revisions || [])].reverse()
+    .find(r => r.text != null && (!channelId || r.channel_id === channelId));
+  return hit ? hit.text : null;
+}
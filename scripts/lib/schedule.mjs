@@ -0,0 +1,178 @@
+/**
+ * Publishing schedule: posting slots, per-day caps and queue ordering.
+ *
+ * Config (config/schedule.json):
+ *   {
+ *     "timezone": "Europe/Berlin",      // IANA zone the slot times are in
+ *     "slots": ["09:00", "13:00"],      // local times of day
+ *     "max_per_day": 2,                 // posted + scheduled per local day
+ *     "horizon_days": 2,                // how far ahead `schedule` fills slots
+ *     "candidate_statuses": ["shortlisted", "enriched"],
+ *     "diversity_window": 3,            // recent posts whose tags count against a candidate
+ *     "diversity_penalty": 15           // score penalty per shared top-level tag
+ *   }
+ */
+
+import fs from 'node:fs';
+import { firstPostedAt } from './channels.mjs';
+
+export const SCHEDULE_CONFIG_PATH = 'config/schedule.json';
+
+const DEFAULTS = {
+  timezone: 'UTC',
+  slots: ['00:00', '08:00', '16:00'],
+  max_per_day: 3,
+  horizon_days: 2,
+  candidate_statuses: ['shortlisted', 'enriched'],
+  diversity_window: 3,
+  diversity_penalty: 15
+};
+
+const PRIORITY_WEIGHT = { high: 100, normal: 0, low: -100 };
+
+export function loadScheduleConfig(p = SCHEDULE_CONFIG_PATH) {
+  const raw = fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, 'utf8')) : {};
+  const config = { ...DEFAULTS, ...raw };
+  // Throws RangeError on unknown zones
+  new Intl.DateTimeFormat('en-US', { timeZone: config.timezone });
+  for (const s of config.slots) {
+    if (!/^\d{2}:\d{2}$/.test(s)) throw new Error(`Bad slot time in ${p}: ${s} (expected HH:MM)`);
+  }
+  config.slots = [...config.slots].sort();
+  return config;
+}
+
+function zonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit'
+  }).formatToParts(date);
+  const m = Object.fromEntries(parts.map(p => [p.type, p.value]));
+  return { year: +m.year, month: +m.month, day: +m.day, hour: +m.hour, minute: +m.minute, second: +m.second };
+}
+
+function tzOffsetMs(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  const asUtc = Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second);
+  return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/** Local calendar day (YYYY-MM-DD) of `date` in `timeZone`. */
+export function localDay(date, timeZone) {
+  const p = zonedParts(new Date(date), timeZone);
+  return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+}
+
+/** UTC instant of local `day` (YYYY-MM-DD) at `time` (HH:MM) in `timeZone`. */
+export function zonedTimeToUtc(day, time, timeZone) {
+  const [y, mo, d] = day.split('-').map(Number);
+  const [h, mi] = time.split(':').map(Number);
+  const guess = Date.UTC(y, mo - 1, d, h, mi);
+  const off = tzOffsetMs(new Date(guess), timeZone);
+  let ts = guess - off;
+  // Second pass fixes guesses that straddle a DST change
+  const off2 = tzOffsetMs(new Date(ts), timeZone);
+  if (off2 !== off) ts = guess - off2;
+  return new Date(ts);
+}
+
+function addDays(day, n) {
+  const [y, m, d] = day.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + n)).toISOString().slice(0, 10);
+}
+
+/**
+ * Number of items posted or scheduled per local day. An item posted to
+ * several channels counts once, on the day it first went out.
+ */
+export function countPerDay(items, timeZone) {
+  const counts = new Map();
+  const bump = at => {
+    const k = localDay(at, timeZone);
+    counts.set(k, (counts.get(k) || 0) + 1);
+  };
+  for (const it of items) {
+    if (it.status === 'posted' && firstPostedAt(it)) bump(firstPostedAt(it));
+    if (it.status === 'scheduled' && it.scheduled_for) bump(it.scheduled_for);
+  }
+  return counts;
+}
+
+/**
+ * Free slots from `now` up to horizon_days ahead, as ISO strings.
+ * Skips slots already taken and days that are at max_per_day.
+ */
+export function freeSlots(config, items, now = new Date()) {
+  const taken = new Set(items.filter(it => it.status === 'scheduled' && it.scheduled_for)
+    .map(it => new Date(it.scheduled_for).toISOString()));
+  const counts = countPerDay(items, config.timezone);
+  const today = localDay(now, config.timezone);
+  const out = [];
+
+  for (let k = 0; k <= config.horizon_days; k++) {
+    const day = addDays(today, k);
+    let used = counts.get(day) || 0;
+    for (const time of config.slots) {
+      if (used >= config.max_per_day) break;
+      const at = zonedTimeToUtc(day, time, config.timezone);
+      if (at <= now) continue;
+      const iso = at.toISOString();
+      if (taken.has(iso)) continue;
+      out.push(iso);
+      used++;
+    }
+  }
+  return out;
+}
+
+function topTags(item) {
+  return new Set((item.tags || []).map(t => String(t).split('/')[0]));
+}
+
+/** `score` defaults to the stored `metrics.score` (see currentScores in lib/score.mjs). */
+export function baseScore(item, score = item.metrics?.score) {
+  return (PRIORITY_WEIGHT[item.priority] ?? 0)
+    + (Number(score) || 0)
+    + (item.status === 'shortlisted' ? 10 : 0);
+}
+
+/**
+ * Greedy slot assignment: for each slot (earliest first) pick the candidate
+ * with the best base score minus a penalty for sharing top-level tags with
+ * the last `diversity_window` posts/assignments. Older items win ties.
+ * `scores` (id → score) overrides the stored scores.
+ * Returns [{ item, scheduled_for }].
+ */
+export function assignSlots(config, items, candidates, slots, { scores = new Map() } = {}) {
+  const recent = items
+    .filter(it => it.status === 'posted' || it.status === 'scheduled')
+    .sort((a, b) => String(a.scheduled_for || firstPostedAt(a) || '').localeCompare(String(b.scheduled_for || firstPostedAt(b) || '')))
+    .slice(-config.diversity_window);
+
+  const pool = [...candidates].sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)));
+  const out = [];
+
+  for (const slot of slots) {
+    if (!pool.length) break;
+    const recentTags = recent.slice(-config.diversity_window).map(topTags);
+
+    let best = 0;
+    let bestScore = -Infinity;
+    pool.forEach((it, i) => {
+      const tags = topTags(it);
+      const overlap = recentTags.reduce((n, rt) => n + [...tags].filter(t => rt.has(t)).length, 0);
+      const score = baseScore(it, scores.get(it.id)) - overlap * config.diversity_penalty;
+      if (score > bestScore) { best = i; bestScore = score; }
+    });
+
+    const [item] = pool.splice(best, 1);
+    out.push({ item, scheduled_for: slot });
+    recent.push(item);
+  }
+  return out;
+}
+
+export function isDue(item, now = new Date()) {
+  return item.status !== 'scheduled' || (item.scheduled_for && new Date(item.scheduled_for) <= now);
+}
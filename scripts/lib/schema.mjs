@@ -0,0 +1,140 @@
+/**
+ * Minimal JSON Schema validator for schemas/tool-item.schema.json
+ *
+ * Supports the subset the repo's schemas use: type (incl. type arrays and
+ * null), required, properties, additionalProperties (false or a schema for
+ * the remaining keys, e.g. maps keyed by id), items, enum, pattern,
+ * minLength, maxLength, minimum, maximum, format (uri, date-time). No
+ * dependencies, so the Actions jobs can run it with a bare Node install.
+ */
+
+import fs from 'node:fs';
+import { fileURLToPath } from 'node:url';
+
+export const TOOL_ITEM_SCHEMA_PATH = fileURLToPath(new URL('../../schemas/tool-item.schema.json', import.meta.url));
+
+let toolItemSchema = null;
+
+export function loadToolItemSchema() {
+  if (!toolItemSchema) toolItemSchema = JSON.parse(fs.readFileSync(TOOL_ITEM_SCHEMA_PATH, 'utf8'));
+  return toolItemSchema;
+}
+
+export class ValidationError extends Error {
+  constructor(message, errors) {
+    super(message);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+function typeOf(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (Number.isInteger(v)) return 'integer';
+  return typeof v;
+}
+
+function matchesType(v, type) {
+  const actual = typeOf(v);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+const DATE_TIME_RE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/;
+
+function checkFormat(v, format) {
+  if (format === 'uri') {
+    try { new URL(v); return true; } catch { return false; }
+  }
+  if (format === 'date-time') return DATE_TIME_RE.test(v) && !Number.isNaN(Date.parse(v));
+  return true;
+}
+
+function walk(schema, value, path, errors) {
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      errors.push({ path, message: `expected ${types.join('|')}, got ${typeOf(value)}` });
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.some(e => e === value)) {
+    errors.push({ path, message: `must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}` });
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) {
+      errors.push({ path, message: `shorter than ${schema.minLength} chars` });
+    }
+    if (schema.maxLength != null && value.length > schema.maxLength) {
+      errors.push({ path, message: `longer than ${schema.maxLength} chars (${value.length})` });
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push({ path, message: `does not match ${schema.pattern}` });
+    }
+    if (schema.format && !checkFormat(value, schema.format)) {
+      errors.push({ path, message: `not a valid ${schema.format}` });
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum != null && value < schema.minimum) {
+      errors.push({ path, message: `less than ${schema.minimum} (${value})` });
+    }
+    if (schema.maximum != null && value > schema.maximum) {
+      errors.push({ path, message: `greater than ${schema.maximum} (${value})` });
+    }
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((v, i) => walk(schema.items, v, `${path}[${i}]`, errors));
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+    const props = schema.properties || {};
+    for (const [key, v] of Object.entries(value)) {
+      if (props[key]) walk(props[key], v, `${path}.${key}`, errors);
+      else if (schema.additionalProperties === false) errors.push({ path: `${path}.${key}`, message: 'is not allowed' });
+      else if (typeOf(schema.additionalProperties) === 'object') walk(schema.additionalProperties, v, `${path}.${key}`, errors);
+    }
+  }
+}
+
+/**
+ * Validate a value against a schema. Returns [] when valid, otherwise a list
+ * of { path, message } with JSONPath-like paths ($.source.type, $.tags[0]).
+ */
+export function validate(schema, value) {
+  const errors = [];
+  walk(schema, value, '$', errors);
+  return errors;
+}
+
+export function validateItem(item) {
+  return validate(loadToolItemSchema(), item);
+}
+
+export function formatErrors(errors) {
+  return errors.map(e => `${e.path} ${e.message}`).join('; ');
+}
+
+/**
+ * Throw a ValidationError if any of the given items violates the schema.
+ * Scripts call this on the records they touched before writing tools.jsonl.
+ */
+export function assertValidItems(items) {
+  const bad = [];
+  for (const item of items) {
+    const errors = validateItem(item);
+    if (errors.length) bad.push({ id: item?.id ?? null, errors });
+  }
+  if (bad.length) {
+    const msg = bad.map(b => `${b.id ?? '(no id)'}: ${formatErrors(b.errors)}`).join('\n');
+    throw new ValidationError(`Invalid item(s):\n${msg}`, bad);
+  }
+}
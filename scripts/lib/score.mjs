@@ -0,0 +1,151 @@
+/**
+ * Item scoring: the editorial weight the scheduler and the publisher rank
+ * candidates by (with `priority` on top; see baseScore in lib/schedule.mjs).
+ * They score in memory on every run; `metrics.score` on the item is only
+ * written by `scripts/score.mjs --write`, so recency decay does not rewrite
+ * the store every run.
+ *
+ * Config (config/scoring.json; every key optional):
+ *   {
+ *     "weights": {
+ *       "resubmission": 10,     // per extra time the link was submitted (metrics.saved_count - 1)
+ *       "stars": 5,             // per decade of GitHub stars (10k stars → 20)
+ *       "velocity": 4,          // per doubling of stars/week (100/week → ~27)
+ *       "recency": 20,          // brand-new item; halves every `recency_half_life_days`
+ *       "reactions": 5,         // per curator reaction on the inbox message
+ *       "completeness": 20,     // summary, real title, highlights, image, tags all present
+ *       "novelty": 15,          // all tags unseen in the last `novelty_window` posts
+ *       "archived": -20         // archived GitHub repo
+ *     },
+ *     "max_resubmissions": 5,
+ *     "max_reactions": 10,
+ *     "recency_half_life_days": 14,
+ *     "novelty_window": 10
+ *   }
+ */
+
+import fs from 'node:fs';
+import { isDuplicate } from './dedupe.mjs';
+import { firstPostedAt } from './channels.mjs';
+
+export const SCORING_CONFIG_PATH = 'config/scoring.json';
+
+// Items still waiting to go out somewhere
+export const SCORED_STATUSES = ['inbox', 'enriched', 'shortlisted', 'scheduled'];
+
+const DEFAULTS = {
+  weights: {
+    resubmission: 10,
+    stars: 5,
+    velocity: 4,
+    recency: 20,
+    reactions: 5,
+    completeness: 20,
+    novelty: 15,
+    archived: -20
+  },
+  max_resubmissions: 5,
+  max_reactions: 10,
+  recency_half_life_days: 14,
+  novelty_window: 10
+};
+
+const DAY_MS = 24 * 3600 * 1000;
+
+export function loadScoringConfig(p = SCORING_CONFIG_PATH) {
+  const raw = fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, 'utf8')) : {};
+  const config = { ...DEFAULTS, ...raw, weights: { ...DEFAULTS.weights, ...(raw.weights || {}) } };
+  for (const [k, v] of Object.entries(config.weights)) {
+    if (!(k in DEFAULTS.weights)) throw new Error(`${p}: unknown weight ${k} (${Object.keys(DEFAULTS.weights).join(', ')})`);
+    if (!Number.isFinite(v)) throw new Error(`${p}: weight ${k} must be a number`);
+  }
+  return config;
+}
+
+function isUrlishTitle(item) {
+  const t = (item.title || '').trim();
+  return !t || t === item.url || t === item.canonical_url;
+}
+
+/** Share (0..1) of the post-ready fields the item has. */
+function completeness(item) {
+  const checks = [
+    Boolean((item.summary || '').trim()),
+    !isUrlishTitle(item),
+    (item.content?.highlights || []).length > 0,
+    Boolean(item.content?.image),
+    (item.tags || []).length > 0
+  ];
+  return checks.filter(Boolean).length / checks.length;
+}
+
+/** Tags of the last `window` posts, newest last. */
+export function recentPostTags(items, window = DEFAULTS.novelty_window) {
+  const posted = items
+    .filter(it => firstPostedAt(it))
+    .sort((a, b) => firstPostedAt(a).localeCompare(firstPostedAt(b)))
+    .slice(-window);
+  return new Set(posted.flatMap(it => it.tags || []));
+}
+
+/**
+ * Score one item. `recentTags` is recentPostTags() of the store. Returns
+ * { score, parts } with each component's contribution.
+ */
+export function scoreItem(item, { config = loadScoringConfig(), recentTags = new Set(), now = new Date() } = {}) {
+  const w = config.weights;
+  const m = item.metrics || {};
+  const gh = item.content?.repo && !item.content.metrics?.deleted ? item.content.metrics || {} : {};
+
+  const resubmissions = Math.min(Math.max((Number(m.saved_count) || 1) - 1, 0), config.max_resubmissions);
+  const stars = Number(gh.stars) > 0 ? Math.log10(Number(gh.stars) + 1) : 0;
+  const velocity = Number(gh.stars_per_week) > 0 ? Math.log2(1 + Number(gh.stars_per_week)) : 0;
+  const ageDays = Math.max(0, (now.getTime() - Date.parse(item.created_at)) / DAY_MS) || 0;
+  const reactions = Math.min(Math.max(Number(m.reactions) || 0, 0), config.max_reactions);
+  const tags = item.tags || [];
+  const novelty = tags.length ? tags.filter(t => !recentTags.has(t)).length / tags.length : 0;
+
+  const parts = {
+    resubmission: resubmissions * w.resubmission,
+    stars: stars * w.stars,
+    velocity: velocity * w.velocity,
+    recency: w.recency * 0.5 ** (ageDays / config.recency_half_life_days),
+    reactions: reactions * w.reactions,
+    completeness: completeness(item) * w.completeness,
+    novelty: novelty * w.novelty,
+    archived: gh.archived ? w.archived : 0
+  };
+  for (const k of Object.keys(parts)) parts[k] = Math.round(parts[k] * 10) / 10;
+  const score = Math.round(Object.values(parts).reduce((a, b) => a + b, 0) * 10) / 10;
+  return { score, parts };
+}
+
+/**
+ * Current score of every item still waiting to be published
+ * (SCORED_STATUSES, not duplicates), as a Map of id → score.
+ */
+export function currentScores(items, { config = loadScoringConfig(), now = new Date() } = {}) {
+  const recentTags = recentPostTags(items, config.novelty_window);
+  const scores = new Map();
+  for (const item of items) {
+    if (!SCORED_STATUSES.includes(item.status) || isDuplicate(item)) continue;
+    scores.set(item.id, scoreItem(item, { config, recentTags, now }).score);
+  }
+  return scores;
+}
+
+/**
+ * Write currentScores() to `metrics.score`. Returns the items whose score
+ * changed.
+ */
+export function applyScores(items, opts = {}) {
+  const scores = currentScores(items, opts);
+  const changed = [];
+  for (const item of items) {
+    const score = scores.get(item.id);
+    if (score === undefined || item.metrics?.score === score) continue;
+    item.metrics = { ...(item.metrics || {}), score };
+    changed.push(item);
+  }
+  return changed;
+}
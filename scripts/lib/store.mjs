@@ -0,0 +1,192 @@
+/**
+ * Item store over data/tools.jsonl
+ *
+ * Single place for reading/writing the item log, URL normalization and id
+ * generation, so every script derives the same `tool_` id for the same URL.
+ *
+ * Writes are atomic (temp file + rename): a crash mid-write leaves the
+ * previous file intact instead of a truncated database. Reads refuse a
+ * file with a broken line rather than dropping it: the next save would
+ * lose that record for good.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { transition } from './lifecycle.mjs';
+
+export const TOOLS_PATH = 'data/tools.jsonl';
+
+// Query params that never change what a page is about
+const TRACKING_PARAMS = new Set([
+  'utm_source', 'utm_medium', 'utm_campaign', 'utm_term', 'utm_content',
+  'ref', 'ref_src', 'fbclid', 'gclid', 'igshid'
+]);
+
+export function sha1(input) {
+  return crypto.createHash('sha1').update(input).digest('hex');
+}
+
+export function nowIso() {
+  return new Date().toISOString();
+}
+
+export function uniq(arr) {
+  return [...new Set(arr)];
+}
+
+/**
+ * Per-domain rule for `host` from a rule set (config/url_rules.json, see
+ * lib/urls.mjs): exact host or any parent domain, ignoring `www.`.
+ */
+export function domainRule(host, rules) {
+  const domains = rules?.domains || {};
+  let h = String(host || '').toLowerCase().replace(/^www\./, '');
+  while (h) {
+    if (domains[h]) return domains[h];
+    const dot = h.indexOf('.');
+    if (dot === -1) return null;
+    h = h.slice(dot + 1);
+  }
+  return null;
+}
+
+// Param lists allow a trailing `*` for prefixes (`utm_*`)
+function paramMatcher(list = []) {
+  return key => list.some(p => (p.endsWith('*') ? key.startsWith(p.slice(0, -1)) : key === p));
+}
+
+/**
+ * Canonical form used for ids. `rules` (optional) adds global and per-domain
+ * param rules on top of the built-in tracking list: `strip_params` removes
+ * matching params, `keep_params` drops everything else.
+ */
+export function normalizeUrl(url, rules = null) {
+  try {
+    const u = new URL(url);
+    const rule = domainRule(u.hostname, rules) || {};
+    const strip = paramMatcher([...(rules?.strip_params || []), ...(rule.strip_params || [])]);
+    const keep = rule.keep_params ? paramMatcher(rule.keep_params) : null;
+    [...u.searchParams.keys()].forEach(k => {
+      if (TRACKING_PARAMS.has(k) || strip(k) || (keep && !keep(k))) u.searchParams.delete(k);
+    });
+    u.hash = '';
+    // remove trailing slash except root
+    if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, '');
+    // prefer https
+    if (u.protocol === 'http:') u.protocol = 'https:';
+    return u.toString();
+  } catch {
+    return url;
+  }
+}
+
+export function makeId(canonicalUrl) {
+  return `tool_${sha1(canonicalUrl).slice(0, 12)}`;
+}
+
+export function sanitizeHierTag(t) {
+  // Lowercase, keep alnum + / + -
+  const out = String(t || '').trim().toLowerCase().replace(/[^a-z0-9\/-]+/g, '-');
+  return out.replace(/^-+|-+$/g, '').replace(/\/+/, '/');
+}
+
+export function readJson(p, fallback) {
+  try { return JSON.parse(fs.readFileSync(p, 'utf8')); } catch { return fallback; }
+}
+
+export function writeFileAtomic(p, contents) {
+  fs.mkdirSync(path.dirname(p), { recursive: true });
+  const tmp = `${p}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, contents, 'utf8');
+  fs.renameSync(tmp, p);
+}
+
+export function writeJson(p, data) {
+  writeFileAtomic(p, JSON.stringify(data, null, 2) + '\n');
+}
+
+export class JsonlError extends Error {
+  constructor(p, line, cause) {
+    super(`${p}:${line}: invalid JSON (${cause.message}); fix the line (node scripts/validate.mjs lists them)`);
+    this.name = 'JsonlError';
+    this.path = p;
+    this.line = line;
+  }
+}
+
+/** Records of a JSONL file ([] when missing). Throws JsonlError on a broken line. */
+export function readJsonl(p) {
+  if (!fs.existsSync(p)) return [];
+  const out = [];
+  fs.readFileSync(p, 'utf8').split(/\n/).forEach((l, i) => {
+    if (!l.trim()) return;
+    try {
+      out.push(JSON.parse(l));
+    } catch (e) {
+      throw new JsonlError(p, i + 1, e);
+    }
+  });
+  return out;
+}
+
+export function writeJsonl(p, items) {
+  writeFileAtomic(p, items.map(x => JSON.stringify(x)).join('\n') + '\n');
+}
+
+export function loadItems(p = TOOLS_PATH) {
+  return readJsonl(p);
+}
+
+export function saveItems(items, p = TOOLS_PATH) {
+  writeJsonl(p, items);
+}
+
+export function findById(items, id) {
+  return items.find(it => it.id === id) || null;
+}
+
+export function findByUrl(items, url) {
+  const canonical = normalizeUrl(url);
+  const id = makeId(canonical);
+  return items.find(it => it.id === id || it.canonical_url === canonical || it.url === url) || null;
+}
+
+/** Look an item up by id or by (any form of) its URL. */
+export function findItem(items, ref) {
+  return findById(items, ref) || findByUrl(items, ref);
+}
+
+/**
+ * Insert a record, or shallow-merge it into the existing item with the same id.
+ * Keeps the original created_at. Returns { item, created }.
+ */
+export function upsertItem(items, record) {
+  const idx = items.findIndex(it => it.id === record.id);
+  if (idx === -1) {
+    items.push(record);
+    return { item: record, created: true };
+  }
+  const merged = mergeRecord(items[idx], record);
+  items[idx] = merged;
+  return { item: merged, created: false };
+}
+
+/**
+ * The item upsertItem would store for `record` given the existing `prev`
+ * (or null). Lets callers validate before touching the list.
+ */
+export function mergeRecord(prev, record) {
+  if (!prev) return record;
+  return { ...prev, ...record, created_at: prev.created_at || record.created_at };
+}
+
+/**
+ * Move item `id` to `status` via the lifecycle (illegal jumps throw).
+ * `opts` is passed to transition(): { actor, reason, patch }.
+ */
+export function updateStatus(items, id, status, opts = {}) {
+  const item = findById(items, id);
+  if (!item) throw new Error(`Unknown item: ${id}`);
+  return transition(item, status, { at: nowIso(), ...opts });
+}
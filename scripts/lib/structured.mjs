@@ -0,0 +1,137 @@
+/**
+ * Structured (JSON) output from the LLM chain.
+ *
+ * parseStructured() repairs common faults before validating against a
+ * declared JSON Schema shape (validated with lib/schema.mjs):
+ *   - markdown code fences / prose around the object
+ *   - trailing commas
+ *   - truncated output (unterminated strings, dangling keys, unclosed arrays/objects)
+ *
+ * generateStructured() re-prompts once with the validation error when the
+ * first reply can't be repaired into a valid object, then gives up with a
+ * StructuredOutputError whose `reason` callers record on the item.
+ */
+
+import { generateText } from './llm.mjs';
+import { validate, formatErrors } from './schema.mjs';
+
+export class StructuredOutputError extends Error {
+  constructor(message, { reason, raw = null, provider = null } = {}) {
+    super(message);
+    this.name = 'StructuredOutputError';
+    this.reason = reason;
+    this.raw = raw;
+    this.provider = provider;
+  }
+}
+
+function stripFences(text) {
+  const fence = text.match(/```[a-z]*\s*([\s\S]*?)(?:```|$)/i);
+  return fence ? fence[1] : text;
+}
+
+/**
+ * Best-effort repair of a JSON object embedded in LLM output. Returns the
+ * repaired JSON text (not yet parsed), or null if there is no object at all.
+ */
+export function repairJson(text) {
+  let s = stripFences(String(text || ''));
+  const start = s.indexOf('{');
+  if (start === -1) return null;
+  s = s.slice(start);
+
+  let out = '';
+  const stack = [];
+  let inStr = false;
+  let esc = false;
+
+  for (const ch of s) {
+    if (inStr) {
+      out += ch;
+      if (esc) esc = false;
+      else if (ch === '\\') esc = true;
+      else if (ch === '"') inStr = false;
+      continue;
+    }
+    if (ch === '"') {
+      inStr = true;
+    } else if (ch === '{' || ch === '[') {
+      stack.push(ch);
+    } else if (ch === '}' || ch === ']') {
+      // Trailing comma before a closer
+      out = out.replace(/,\s*$/, '');
+      stack.pop();
+      out += ch;
+      if (!stack.length) return out;
+      continue;
+    }
+    out += ch;
+  }
+
+  // Truncated: close the open string, drop an incomplete member, close containers
+  if (inStr) out += esc ? '\\"' : '"';
+  out = out.replace(/\s+$/, '');
+  if (stack[stack.length - 1] === '{') {
+    out = out
+      .replace(/,?\s*"(?:[^"\\]|\\.)*"\s*:\s*$/, '') // "key":
+      .replace(/([{,])\s*"(?:[^"\\]|\\.)*"$/, '$1'); // "key" (no colon yet)
+  }
+  out = out.replace(/[,:]\s*$/, '');
+  while (stack.length) out += stack.pop() === '{' ? '}' : ']';
+  return out;
+}
+
+/**
+ * Parse + validate LLM output. Returns
+ *   { ok: true, value, repaired }  or  { ok: false, reason, error }.
+ */
+export function parseStructured(text, shape) {
+  const raw = String(text || '');
+  let value = null;
+  let repaired = false;
+
+  try {
+    value = JSON.parse(raw.trim());
+  } catch {
+    const fixed = repairJson(raw);
+    if (fixed == null) return { ok: false, reason: 'no_json', error: 'response contains no JSON object' };
+    try {
+      value = JSON.parse(fixed);
+      repaired = true;
+    } catch (e) {
+      return { ok: false, reason: 'unparseable', error: `could not repair JSON: ${e.message}` };
+    }
+  }
+
+  const errors = validate(shape, value);
+  if (errors.length) return { ok: false, reason: 'invalid_shape', error: formatErrors(errors) };
+  return { ok: true, value, repaired };
+}
+
+/**
+ * Generate + parse. Resolves { value, provider, repaired, attempts } or null
+ * when no LLM is configured; throws StructuredOutputError after one failed
+ * re-prompt.
+ */
+export async function generateStructured(prompt, shape, opts = {}) {
+  const first = await generateText(prompt, opts);
+  if (!first) return null;
+
+  let parsed = parseStructured(first.text, shape);
+  if (parsed.ok) return { value: parsed.value, provider: first.provider, repaired: parsed.repaired, attempts: 1 };
+
+  const retryPrompt = `${prompt}
+Your previous reply was rejected: ${parsed.error}
+Previous reply:
+${first.text.slice(0, 2000)}
+
+Reply again with ONLY the corrected JSON object.
+`;
+  const second = await generateText(retryPrompt, opts);
+  parsed = parseStructured(second.text, shape);
+  if (parsed.ok) return { value: parsed.value, provider: second.provider, repaired: parsed.repaired, attempts: 2 };
+
+  throw new StructuredOutputError(`LLM output rejected (${parsed.reason}): ${parsed.error}`, {
+    reason: parsed.reason, raw: second.text, provider: second.provider
+  });
+}
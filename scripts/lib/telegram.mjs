@@ -0,0 +1,190 @@
+/**
+ * Telegram Bot API client shared by the scripts.
+ *
+ * - per-request timeout
+ * - 429: waits `parameters.retry_after` seconds, then retries
+ * - 5xx / network errors / timeouts: exponential backoff retries. Methods
+ *   that post (sendMessage, sendPhoto, ...) only retry when the request
+ *   cannot have gone through: a 429/5xx answer or a failed connect. A
+ *   timeout or dropped connection may have posted the message, so it is
+ *   thrown instead of sending a duplicate.
+ * - group → supergroup migration (`parameters.migrate_to_chat_id`): retries
+ *   once against the new chat id and reports it via `onMigrate`
+ *
+ * TG_API_BASE (env) points the client at another server, e.g. the local mock
+ * in scripts/mock_tg_api.mjs.
+ */
+
+export const MESSAGE_LIMIT = 4096;
+export const CAPTION_LIMIT = 1024;
+
+const DEFAULT_API_BASE = 'https://api.telegram.org';
+
+// Never sleep longer than this on a single 429, whatever Telegram asks for
+const MAX_RETRY_AFTER_S = 60;
+
+// Retrying these after an unanswered request can post the message twice
+const SEND_METHODS = new Set(['sendMessage', 'sendPhoto', 'sendMediaGroup', 'copyMessage', 'forwardMessage']);
+
+// Network errors raised before the request reached Telegram
+const CONNECT_ERRORS = new Set([
+  'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'EHOSTUNREACH', 'UND_ERR_CONNECT_TIMEOUT'
+]);
+
+export class TelegramError extends Error {
+  constructor(method, { status = null, errorCode = null, description = '', parameters = null, cause = null } = {}) {
+    super(`Telegram ${method} failed: ${errorCode ?? status ?? 'network'} ${description}`.trim());
+    this.name = 'TelegramError';
+    this.method = method;
+    this.status = status;
+    this.errorCode = errorCode;
+    this.description = description;
+    this.retryAfter = parameters?.retry_after ?? null;
+    this.migrateToChatId = parameters?.migrate_to_chat_id ?? null;
+    if (cause) this.cause = cause;
+  }
+
+  get retryable() {
+    return this.status == null || this.status === 429 || this.status >= 500;
+  }
+
+  /** No answer, and not a failed connect: Telegram may have acted on it. */
+  get maybeDelivered() {
+    if (this.status != null) return false;
+    const code = this.cause?.cause?.code ?? this.cause?.code;
+    return !CONNECT_ERRORS.has(code);
+  }
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+/** Exact sendMessage request body (also printed by dry runs). */
+export function sendMessagePayload(chatId, text, { parseMode = 'HTML', disablePreview = true } = {}) {
+  const body = {
+    chat_id: chatId,
+    text,
+    disable_web_page_preview: disablePreview
+  };
+  if (parseMode) body.parse_mode = parseMode;
+  return body;
+}
+
+/** Exact sendPhoto request body. `photo` is an http(s) URL or file_id. */
+export function sendPhotoPayload(chatId, photo, { caption, parseMode = 'HTML' } = {}) {
+  const body = { chat_id: chatId, photo };
+  if (caption) body.caption = caption;
+  if (caption && parseMode) body.parse_mode = parseMode;
+  return body;
+}
+
+export function createTelegramClient({
+  token,
+  apiBase = process.env.TG_API_BASE || DEFAULT_API_BASE,
+  timeoutMs = 15_000,
+  retries = 3,
+  backoffMs = 1000,
+  onMigrate = (from, to) => console.error(`Telegram chat ${from} migrated to ${to}; update your config.`)
+} = {}) {
+  if (!token) throw new Error('Missing env TG_BOT_TOKEN');
+
+  async function request(method, params, requestTimeoutMs) {
+    const ctrl = new AbortController();
+    const tmr = setTimeout(() => ctrl.abort(), requestTimeoutMs);
+    try {
+      const res = await fetch(`${apiBase.replace(/\/+$/, '')}/bot${token}/${method}`, {
+        method: 'POST',
+        signal: ctrl.signal,
+        headers: { 'content-type': 'application/json' },
+        body: JSON.stringify(params)
+      });
+      const data = await res.json().catch(() => null);
+      if (!res.ok || !data?.ok) {
+        throw new TelegramError(method, {
+          status: res.status,
+          errorCode: data?.error_code ?? null,
+          description: data?.description ?? '',
+          parameters: data?.parameters ?? null
+        });
+      }
+      return data.result;
+    } catch (e) {
+      if (e instanceof TelegramError) throw e;
+      throw new TelegramError(method, { description: e.name === 'AbortError' ? 'timeout' : e.message, cause: e });
+    } finally {
+      clearTimeout(tmr);
+    }
+  }
+
+  /**
+   * Call any Bot API method. `opts.timeoutMs` overrides the client timeout
+   * (long polling needs more than the poll timeout).
+   */
+  async function call(method, params = {}, opts = {}) {
+    let migrated = false;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await request(method, params, opts.timeoutMs ?? timeoutMs);
+      } catch (e) {
+        if (e.migrateToChatId && params.chat_id != null && !migrated) {
+          onMigrate(params.chat_id, e.migrateToChatId);
+          params = { ...params, chat_id: e.migrateToChatId };
+          migrated = true;
+          continue;
+        }
+        if (!e.retryable || attempt >= retries) throw e;
+        if (SEND_METHODS.has(method) && e.maybeDelivered) throw e;
+        const wait = e.retryAfter != null
+          ? Math.min(e.retryAfter, MAX_RETRY_AFTER_S) * 1000
+          : backoffMs * 2 ** attempt;
+        await sleep(wait);
+      }
+    }
+  }
+
+  return {
+    call,
+
+    getUpdates({ offset, timeout = 0, allowedUpdates } = {}) {
+      const params = { timeout };
+      if (offset) params.offset = offset;
+      if (allowedUpdates) params.allowed_updates = allowedUpdates;
+      return call('getUpdates', params, { timeoutMs: timeoutMs + timeout * 1000 });
+    },
+
+    sendMessage(chatId, text, opts = {}) {
+      const params = sendMessagePayload(chatId, text, opts);
+      if (opts.replyTo) params.reply_parameters = { message_id: opts.replyTo };
+      return call('sendMessage', params);
+    },
+
+    sendPhoto(chatId, photo, opts = {}) {
+      return call('sendPhoto', sendPhotoPayload(chatId, photo, opts));
+    },
+
+    editMessageText(chatId, messageId, text, { parseMode = 'HTML', disablePreview = true } = {}) {
+      const params = { chat_id: chatId, message_id: Number(messageId), text, disable_web_page_preview: disablePreview };
+      if (parseMode) params.parse_mode = parseMode;
+      return call('editMessageText', params);
+    },
+
+    editMessageCaption(chatId, messageId, caption, { parseMode = 'HTML' } = {}) {
+      const params = { chat_id: chatId, message_id: Number(messageId), caption };
+      if (parseMode) params.parse_mode = parseMode;
+      return call('editMessageCaption', params);
+    },
+
+    deleteMessage(chatId, messageId) {
+      return call('deleteMessage', { chat_id: chatId, message_id: Number(messageId) });
+    },
+
+    /** `emojis`: e.g. ['👍']; an empty list removes the bot's reaction. */
+    setMessageReaction(chatId, messageId, emojis = [], { isBig = false } = {}) {
+      return call('setMessageReaction', {
+        chat_id: chatId,
+        message_id: Number(messageId),
+        reaction: emojis.map(emoji => ({ type: 'emoji', emoji })),
+        is_big: isBig
+      });
+    }
+  };
+}
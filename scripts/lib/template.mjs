@@ -0,0 +1,114 @@
+/**
+ * Minimal Mustache-style template engine for post rendering.
+ *
+ * Syntax:
+ *   {{name}}, {{content.pricing}}   value, escaped for the output format
+ *   {{{name}}}                      value, raw
+ *   {{#name}}...{{/name}}           section: once if truthy, per element if a non-empty array
+ *   {{^name}}...{{/name}}           inverted section: if falsy / empty array
+ *   {{.}}                           current element inside an array section
+ *
+ * Lines holding only a section tag are removed, so templates can put
+ * conditional blocks on their own lines.
+ */
+
+export class TemplateError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TemplateError';
+  }
+}
+
+const TAG_RE = /\{\{\{\s*([\w.]+)\s*\}\}\}|\{\{\s*([#^/]?)\s*([\w.]+|\.)\s*\}\}/g;
+
+// Standalone section tags swallow their line
+const STANDALONE_RE = /^[ \t]*(\{\{\s*[#^/][^}]*\}\})[ \t]*\r?\n/gm;
+
+function parse(src) {
+  const root = { children: [] };
+  const stack = [root];
+  let last = 0;
+
+  for (const m of src.matchAll(TAG_RE)) {
+    const top = stack[stack.length - 1];
+    if (m.index > last) top.children.push({ type: 'text', value: src.slice(last, m.index) });
+    last = m.index + m[0].length;
+
+    if (m[1]) {
+      top.children.push({ type: 'var', name: m[1], raw: true });
+      continue;
+    }
+    const [, , sigil, name] = m;
+    if (sigil === '#' || sigil === '^') {
+      const node = { type: 'section', name, inverted: sigil === '^', children: [] };
+      top.children.push(node);
+      stack.push(node);
+    } else if (sigil === '/') {
+      if (stack.length === 1 || top.name !== name) throw new TemplateError(`Unexpected {{/${name}}}`);
+      stack.pop();
+    } else {
+      top.children.push({ type: 'var', name, raw: false });
+    }
+  }
+  if (stack.length > 1) throw new TemplateError(`Unclosed {{#${stack[stack.length - 1].name}}}`);
+  if (last < src.length) root.children.push({ type: 'text', value: src.slice(last) });
+  return root.children;
+}
+
+function lookup(ctxStack, name) {
+  if (name === '.') return ctxStack[ctxStack.length - 1];
+  const [head, ...rest] = name.split('.');
+  for (let i = ctxStack.length - 1; i >= 0; i--) {
+    const ctx = ctxStack[i];
+    if (ctx != null && typeof ctx === 'object' && head in ctx) {
+      return rest.reduce((v, k) => (v == null ? undefined : v[k]), ctx[head]);
+    }
+  }
+  return undefined;
+}
+
+function isEmpty(v) {
+  return v == null || v === false || v === '' || (Array.isArray(v) && v.length === 0);
+}
+
+function renderNodes(nodes, ctxStack, escape) {
+  let out = '';
+  for (const n of nodes) {
+    if (n.type === 'text') {
+      out += n.value;
+    } else if (n.type === 'var') {
+      const v = lookup(ctxStack, n.name);
+      if (v == null) continue;
+      const s = Array.isArray(v) ? v.join(', ') : String(v);
+      out += n.raw ? s : escape(s);
+    } else {
+      const v = lookup(ctxStack, n.name);
+      if (n.inverted) {
+        if (isEmpty(v)) out += renderNodes(n.children, ctxStack, escape);
+      } else if (Array.isArray(v)) {
+        for (const el of v) out += renderNodes(n.children, [...ctxStack, el], escape);
+      } else if (!isEmpty(v)) {
+        out += renderNodes(n.children, typeof v === 'object' ? [...ctxStack, v] : ctxStack, escape);
+      }
+    }
+  }
+  return out;
+}
+
+const cache = new Map();
+
+export function renderTemplate(src, view, { escape = s => s } = {}) {
+  if (!cache.has(src)) cache.set(src, parse(src.replace(STANDALONE_RE, '$1')));
+  return renderNodes(cache.get(src), [view], escape);
+}
+
+export const escapers = {
+  html: s => String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;'),
+  // https://core.telegram.org/bots/api#markdownv2-style
+  markdownV2: s => String(s).replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&'),
+  markdown: s => String(s).replace(/([\\`*_[\]<>])/g, '\\$1'),
+  none: s => String(s)
+};
@@ -0,0 +1,149 @@
+/**
+ * What an inbox message contributes: links, the curator's note, hashtags and
+ * forward origin.
+ *
+ * Links come from Telegram's `entities` / `caption_entities` when present:
+ * `url` (including bare domains Telegram auto-links, e.g. example.com) and
+ * `text_link` (hyperlinked words). Messages without entities (older
+ * recorded payloads) fall back to scanning the text. Entity offsets are
+ * UTF-16 code units, which is what JS string indices are.
+ */
+
+import { sanitizeHierTag, uniq } from './store.mjs';
+
+const URL_RE = /https?:\/\/[^\s)\]}>"']+/g;
+// Bare domains with an optional path; not part of an e-mail or a longer
+// word. Only common TLDs, so "node.js" or "config.json" are not links.
+const BARE_DOMAIN_RE = new RegExp(
+  String.raw`(?<![@\w.\/-])(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+`
+  + '(?:com|org|net|io|dev|ai|app|co|me|sh|so|gg|ly|to|cc|xyz|tech|tools|site|page|cloud|run|info|us|uk|de|fr|ru|eu)'
+  + String.raw`(?![\w-])(?:\/[^\s)\]}>"']*)?`,
+  'gi'
+);
+const HASHTAG_RE = /(?<![\w#])#([\p{L}\p{N}_]+)/gu;
+
+// Trailing punctuation that ends a sentence rather than the URL
+const TRAILING_PUNCT_RE = /[.,;:!?]+$/;
+
+function withScheme(u) {
+  const s = u.trim().replace(TRAILING_PUNCT_RE, '');
+  return /^https?:\/\//i.test(s) ? s : `https://${s}`;
+}
+
+function isHttpUrl(u) {
+  try {
+    const { protocol } = new URL(u);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+/** Inbox hashtags as tags: "#dev_cli" → "dev/cli" (the reverse of post hashtags). */
+export function hashtagToTag(tag) {
+  return sanitizeHierTag(String(tag).replace(/^#/, '').replace(/_/g, '/'));
+}
+
+/**
+ * Where a forwarded message came from (Bot API `forward_origin`, or the
+ * pre-7.0 `forward_from*` fields), or null. Public channel posts get their
+ * t.me link.
+ */
+export function forwardOrigin(msg) {
+  const o = msg.forward_origin;
+  if (o) {
+    const chat = o.chat || o.sender_chat || null;
+    const out = {
+      type: o.type,
+      date: o.date ? new Date(o.date * 1000).toISOString() : null,
+      chat_id: chat ? String(chat.id) : null,
+      chat_title: chat?.title ?? null,
+      username: chat?.username ?? o.sender_user?.username ?? null,
+      author: o.author_signature ?? o.sender_user_name
+        ?? ([o.sender_user?.first_name, o.sender_user?.last_name].filter(Boolean).join(' ') || null),
+      message_id: o.message_id != null ? String(o.message_id) : null
+    };
+    out.url = o.type === 'channel' && out.username && out.message_id
+      ? `https://t.me/${out.username}/${out.message_id}`
+      : null;
+    return out;
+  }
+  if (msg.forward_from_chat || msg.forward_from || msg.forward_sender_name) {
+    const chat = msg.forward_from_chat;
+    const messageId = msg.forward_from_message_id != null ? String(msg.forward_from_message_id) : null;
+    return {
+      type: chat ? (chat.type === 'channel' ? 'channel' : 'chat') : (msg.forward_from ? 'user' : 'hidden_user'),
+      date: msg.forward_date ? new Date(msg.forward_date * 1000).toISOString() : null,
+      chat_id: chat ? String(chat.id) : null,
+      chat_title: chat?.title ?? null,
+      username: chat?.username ?? msg.forward_from?.username ?? null,
+      author: msg.forward_signature ?? msg.forward_sender_name ?? msg.forward_from?.first_name ?? null,
+      message_id: messageId,
+      url: chat?.username && messageId ? `https://t.me/${chat.username}/${messageId}` : null
+    };
+  }
+  return null;
+}
+
+/**
+ * Parse an inbox message. Returns
+ *   { urls, note, tags, forward }
+ * `note` is the text left once links and hashtags are taken out (null if
+ * nothing is left); `tags` come from hashtags.
+ */
+export function parseInboxMessage(msg) {
+  const text = msg.text ?? msg.caption ?? '';
+  const entities = msg.entities ?? msg.caption_entities ?? null;
+
+  const urls = [];
+  const hashtags = [];
+  // [start, end) ranges of the text that are links/hashtags, not note
+  const spans = [];
+
+  if (entities) {
+    for (const e of entities) {
+      const part = text.slice(e.offset, e.offset + e.length);
+      if (e.type === 'url') {
+        urls.push(withScheme(part));
+        spans.push([e.offset, e.offset + e.length]);
+      } else if (e.type === 'text_link' && e.url) {
+        // The linked words stay in the note; only the target is a link
+        urls.push(e.url);
+      } else if (e.type === 'hashtag') {
+        hashtags.push(part);
+        spans.push([e.offset, e.offset + e.length]);
+      }
+    }
+  } else {
+    // Each pass only sees text earlier passes did not claim
+    const blank = () => spans.reduce((s, [a, b]) => s.slice(0, a) + ' '.repeat(b - a) + s.slice(b), text);
+    for (const m of text.matchAll(URL_RE)) {
+      urls.push(m[0].replace(TRAILING_PUNCT_RE, ''));
+      spans.push([m.index, m.index + m[0].length]);
+    }
+    for (const m of blank().matchAll(BARE_DOMAIN_RE)) {
+      urls.push(withScheme(m[0]));
+      spans.push([m.index, m.index + m[0].length]);
+    }
+    for (const m of blank().matchAll(HASHTAG_RE)) {
+      hashtags.push(m[0]);
+      spans.push([m.index, m.index + m[0].length]);
+    }
+  }
+
+  const forward = forwardOrigin(msg);
+  // A forwarded public channel post is itself a link worth keeping when it has none
+  if (!urls.length && forward?.url) urls.push(forward.url);
+
+  const note = [...spans]
+    .sort((a, b) => b[0] - a[0])
+    .reduce((s, [a, b]) => s.slice(0, a) + s.slice(b), text)
+    .split('\n').map(l => l.replace(/\s+/g, ' ').trim()).filter(Boolean).join('\n');
+
+  return {
+    urls: uniq(urls.filter(isHttpUrl)),
+    note: note || null,
+    tags: uniq(hashtags.map(hashtagToTag).filter(Boolean)),
+    forward
+  };
+}
@@ -0,0 +1,130 @@
+/**
+ * Canonical URL resolution for ingest: follow redirects (t.co, bit.ly,
+ * lnkd.in, ...), honour <link rel=canonical>, then apply the per-domain
+ * rules, so the same tool submitted through different links gets one id.
+ *
+ * Config (config/url_rules.json):
+ *   {
+ *     "resolve": true,                  // false: rules only, no network
+ *     "timeout_ms": 7000,               // per URL
+ *     "cache_ttl_days": 30,             // data/url_cache.json entries
+ *     "strip_params": ["utm_*"],        // dropped on every domain
+ *     "domains": {
+ *       "github.com": { "strip_params": ["tab"] },
+ *       "youtube.com": { "keep_params": ["v", "list"] },   // drop all others
+ *       "x.com": { "resolve": false },                     // never fetched
+ *       "medium.com": { "canonical": "any" }               // cross-site canonical ok
+ *     }
+ *   }
+ *
+ * Domain keys match the host and its subdomains; `www.` is ignored.
+ * URL_RESOLVE=0 (env) turns network resolution off, e.g. for offline runs.
+ */
+
+import fs from 'node:fs';
+import { normalizeUrl, domainRule, readJson, writeJson, nowIso } from './store.mjs';
+import { fetchPage } from './meta.mjs';
+
+export const URL_RULES_PATH = 'config/url_rules.json';
+export const URL_CACHE_PATH = 'data/url_cache.json';
+
+const DEFAULTS = {
+  resolve: true,
+  timeout_ms: 7000,
+  cache_ttl_days: 30,
+  strip_params: [],
+  domains: {}
+};
+
+export function loadUrlRules(p = URL_RULES_PATH) {
+  const raw = fs.existsSync(p) ? JSON.parse(fs.readFileSync(p, 'utf8')) : {};
+  const rules = { ...DEFAULTS, ...raw };
+  for (const [domain, rule] of Object.entries(rules.domains)) {
+    if (rule.keep_params && rule.strip_params) {
+      throw new Error(`${p}: ${domain} has both keep_params and strip_params`);
+    }
+  }
+  return rules;
+}
+
+const site = u => u.hostname.toLowerCase().replace(/^www\./, '');
+
+/**
+ * Whether to trust a page's canonical link over the URL it was served at.
+ * Same site only (unless the domain rule says "any"), and never a bare
+ * homepage for a deeper page: both are common CMS misconfigurations.
+ */
+function acceptCanonical(canonical, pageUrl, rule) {
+  if (!canonical || rule?.canonical === false) return false;
+  const c = new URL(canonical);
+  const p = new URL(pageUrl);
+  if (rule?.canonical !== 'any' && site(c) !== site(p)) return false;
+  if (c.pathname === '/' && p.pathname !== '/') return false;
+  return true;
+}
+
+/**
+ * Resolver with a persistent cache keyed by the rule-normalized submitted
+ * URL. resolve() never throws: on network errors it falls back to the
+ * normalized URL (and does not cache that).
+ *
+ * resolve(url) → { url: canonical, via: 'cache'|'redirect'|'canonical'|'fetch'|'rules' }
+ */
+export function createUrlResolver({
+  rules = loadUrlRules(),
+  cachePath = URL_CACHE_PATH,
+  enabled = process.env.URL_RESOLVE !== '0' && rules.resolve !== false
+} = {}) {
+  const cache = readJson(cachePath, {});
+  const ttlMs = rules.cache_ttl_days * 24 * 3600 * 1000;
+  let dirty = false;
+
+  // Fetches the submitted URL: shorteners and some hosts only answer on the
+  // exact form (http, tracking params) they handed out.
+  async function lookup(rawUrl, normalized) {
+    const page = await fetchPage(rawUrl, { timeoutMs: rules.timeout_ms });
+    if (!page) return null;
+
+    const finalUrl = normalizeUrl(page.url, rules);
+    // Error pages (bot walls, 404s) still tell us where redirects led, but
+    // are not worth remembering
+    if (page.status >= 400) return { url: finalUrl, via: finalUrl === normalized ? 'rules' : 'redirect', cache: false };
+    const canonical = page.meta?.canonical;
+    if (acceptCanonical(canonical, page.url, domainRule(new URL(page.url).hostname, rules))) {
+      const url = normalizeUrl(canonical, rules);
+      return { url, via: url === normalized ? 'fetch' : 'canonical' };
+    }
+    return { url: finalUrl, via: finalUrl === normalized ? 'fetch' : 'redirect' };
+  }
+
+  return {
+    async resolve(rawUrl) {
+      const normalized = normalizeUrl(rawUrl, rules);
+      let host;
+      try {
+        host = new URL(normalized).hostname;
+      } catch {
+        return { url: normalized, via: 'rules' };
+      }
+      if (!enabled || domainRule(host, rules)?.resolve === false) return { url: normalized, via: 'rules' };
+
+      const hit = cache[normalized];
+      if (hit && Date.now() - Date.parse(hit.at) < ttlMs) return { url: hit.url, via: 'cache' };
+
+      const found = await lookup(rawUrl, normalized);
+      if (!found) return { url: normalized, via: 'rules' };
+
+      if (found.cache !== false) {
+        cache[normalized] = { url: found.url, via: found.via, at: nowIso() };
+        dirty = true;
+      }
+      return { url: found.url, via: found.via };
+    },
+
+    /** Persist new cache entries (no-op when nothing changed). */
+    save() {
+      if (dirty) writeJson(cachePath, cache);
+      dirty = false;
+    }
+  };
+}
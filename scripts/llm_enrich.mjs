@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Show what the LLM enrichment returns for a URL, or check reply parsing
+ * against canned replies.
+ *
+ * Usage:
+ *   node scripts/llm_enrich.mjs <url> [--title T] [--description D] [--notes]
+ *   node scripts/llm_enrich.mjs --check [cases.json]   (default: fixtures/llm/cases.json)
+ *
+ * The first form runs llmEnrich() (--notes: llmEnrichNotes()) through the
+ * provider chain configured in env (see scripts/lib/llm.mjs).
+ *
+ * --check runs every case through the fixture backend instead: a case names
+ * a fixture file next to cases.json or gives the fixtures inline (fenced,
+ * truncated, invalid replies...), and expects the cleaned result (or the
+ * StructuredOutputError reason) and how many replies it took, so the
+ * repair and re-prompt paths in lib/structured.mjs are covered. Failing
+ * cases are printed and the exit code is 1.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { createFixtureProvider } from './lib/llm.mjs';
+import { llmEnrich, llmEnrichNotes } from './lib/llm_enrich.mjs';
+import { diffObjects, formatDiff } from './lib/diff.mjs';
+
+const CASES_PATH = 'fixtures/llm/cases.json';
+
+// Fixed input for --check; the fixtures decide the replies
+const CHECK_INPUT = { url: 'https://tool.example/', title: 'Example Tool', description: 'A tool for checks.' };
+
+function parseArgs(argv) {
+  const out = { target: null, title: '', description: '', notes: false, check: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--title') out.title = argv[++i];
+    else if (a === '--description') out.description = argv[++i];
+    else if (a === '--notes') out.notes = true;
+    else if (a === '--check') out.check = true;
+    else if (a.startsWith('--')) throw new Error(`Unknown argument: ${a}`);
+    else if (!out.target) out.target = a;
+    else throw new Error(`Unexpected argument: ${a}`);
+  }
+  if (!out.check && !out.target) throw new Error('Usage: node scripts/llm_enrich.mjs <url> [--notes] | --check [cases.json]');
+  return out;
+}
+
+/** Fixture provider for `test`, counting the replies it gives. */
+function countingProvider(test, dir) {
+  const fixtures = typeof test.fixtures === 'string'
+    ? JSON.parse(fs.readFileSync(path.join(dir, test.fixtures), 'utf8'))
+    : test.fixtures;
+  const provider = createFixtureProvider({ fixtures });
+  const counted = { name: provider.name, calls: 0 };
+  counted.generate = (prompt, opts) => {
+    counted.calls++;
+    return provider.generate(prompt, opts);
+  };
+  return counted;
+}
+
+async function runCase(test, dir) {
+  const provider = countingProvider(test, dir);
+  const enrich = test.prompt === 'notes' ? llmEnrichNotes : llmEnrich;
+  const got = { calls: 0 };
+  try {
+    got.result = await enrich(CHECK_INPUT, { providers: [provider] });
+    delete got.result.provider;
+  } catch (e) {
+    if (!e.reason) throw e;
+    got.error = e.reason;
+  }
+  got.calls = provider.calls;
+  return got;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.check) {
+  const file = args.target || CASES_PATH;
+  const cases = JSON.parse(fs.readFileSync(file, 'utf8'));
+  let failed = 0;
+  for (const test of cases) {
+    const got = await runCase(test, path.dirname(file));
+    const changes = diffObjects(test.expect, got);
+    if (changes.length) {
+      failed++;
+      console.error(`✗ ${test.name}\n${formatDiff(changes)}`);
+    } else {
+      console.error(`✓ ${test.name}`);
+    }
+  }
+  console.log(JSON.stringify({ cases: cases.length, failed }));
+  if (failed) process.exit(1);
+} else {
+  const enrich = args.notes ? llmEnrichNotes : llmEnrich;
+  const input = { url: args.target, title: args.title, description: args.description };
+  console.log(JSON.stringify(await enrich(input), null, 2));
+}
@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+/**
+ * Local mock of the Telegram Bot API, for exercising the scripts offline.
+ *
+ * Usage:
+ *   node scripts/mock_tg_api.mjs [--port 8081] [--updates updates.json]
+ *                                [--fail method:status[:times]] [--migrate from:to]
+ *
+ * Then run a script against it:
+ *   TG_API_BASE=http://127.0.0.1:8081 TG_BOT_TOKEN=x ... node scripts/tg_publish.mjs
+ *
+ * - getUpdates serves the update objects from --updates (honours `offset`)
+ * - send/edit/delete/reaction calls succeed with incrementing message ids
+ * - --fail makes the first `times` (default 1) calls of `method` fail with
+ *   `status` (429 responses carry retry_after: 1)
+ * - --migrate answers calls for chat `from` with migrate_to_chat_id `to`
+ * - every call is logged to stdout as one JSON line
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+
+function parseArgs(argv) {
+  const out = { port: 8081, updates: null, fail: [], migrate: null };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--port') out.port = Number(argv[++i]);
+    else if (a === '--updates') out.updates = argv[++i];
+    else if (a === '--fail') {
+      const [method, status, times = '1'] = argv[++i].split(':');
+      out.fail.push({ method, status: Number(status), left: Number(times) });
+    } else if (a === '--migrate') {
+      const [from, to] = argv[++i].split(':');
+      out.migrate = { from, to: Number(to) };
+    } else throw new Error(`Unknown argument: ${a}`);
+  }
+  return out;
+}
+
+const args = parseArgs(process.argv.slice(2));
+const updates = args.updates ? JSON.parse(fs.readFileSync(args.updates, 'utf8')) : [];
+let nextMessageId = 1000;
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function handle(method, params) {
+  const fail = args.fail.find(f => f.method === method && f.left > 0);
+  if (fail) {
+    fail.left--;
+    const parameters = fail.status === 429 ? { retry_after: 1 } : undefined;
+    return [fail.status, { ok: false, error_code: fail.status, description: 'mock failure', parameters }];
+  }
+
+  if (args.migrate && String(params.chat_id) === args.migrate.from) {
+    return [400, {
+      ok: false, error_code: 400,
+      description: 'Bad Request: group chat was upgraded to a supergroup chat',
+      parameters: { migrate_to_chat_id: args.migrate.to }
+    }];
+  }
+
+  switch (method) {
+    case 'getUpdates': {
+      const offset = Number(params.offset || 0);
+      return [200, { ok: true, result: updates.filter(u => u.update_id >= offset) }];
+    }
+    case 'sendMessage':
+    case 'sendPhoto':
+      return [200, {
+        ok: true,
+        result: {
+          message_id: nextMessageId++,
+          chat: { id: params.chat_id },
+          date: Math.floor(Date.now() / 1000),
+          text: params.text,
+          caption: params.caption
+        }
+      }];
+    case 'editMessageText':
+    case 'editMessageCaption':
+      return [200, { ok: true, result: { message_id: params.message_id, chat: { id: params.chat_id } } }];
+    case 'deleteMessage':
+    case 'setMessageReaction':
+    case 'setWebhook':
+    case 'deleteWebhook':
+      return [200, { ok: true, result: true }];
+    default:
+      return [404, { ok: false, error_code: 404, description: `Not Found: method ${method}` }];
+  }
+}
+
+const server = http.createServer((req, res) => {
+  const m = req.url.match(/^\/bot[^/]+\/(\w+)/);
+  if (!m) return reply(res, 404, { ok: false, error_code: 404, description: 'Not Found' });
+
+  let body = '';
+  req.on('data', c => { body += c; });
+  req.on('end', () => {
+    let params = {};
+    try { params = body ? JSON.parse(body) : {}; } catch {}
+    const [status, payload] = handle(m[1], params);
+    console.log(JSON.stringify({ method: m[1], params, status }));
+    reply(res, status, payload);
+  });
+});
+
+server.listen(args.port, '127.0.0.1', () => {
+  console.error(`mock Telegram Bot API on http://127.0.0.1:${server.address().port}`);
+});
@@ -0,0 +1,74 @@
+#!/usr/bin/env node
+/**
+ * Show what the metadata extractor reads from a page, or check it against the
+ * saved pages in fixtures/html/.
+ *
+ * Usage:
+ *   node scripts/page_meta.mjs <url|file.html> [--base URL]
+ *   node scripts/page_meta.mjs --check [dir]     (default dir: fixtures/html)
+ *
+ * --check extracts every <name>.html in dir (base URL https://<name>.example/)
+ * and compares the result with <name>.json; mismatching fields are printed
+ * and the exit code is 1. --write-expected rewrites the .json files instead.
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fetchPageMeta } from './lib/meta.mjs';
+import { decodeHtml, extractHtmlMeta } from './lib/html_meta.mjs';
+import { diffObjects, formatDiff } from './lib/diff.mjs';
+import { writeJson, readJson } from './lib/store.mjs';
+
+const FIXTURES_DIR = 'fixtures/html';
+
+function parseArgs(argv) {
+  const out = { target: null, base: null, check: false, write: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--base') out.base = argv[++i];
+    else if (a === '--check') out.check = true;
+    else if (a === '--write-expected') out.check = out.write = true;
+    else if (a.startsWith('--')) throw new Error(`Unknown argument: ${a}`);
+    else if (!out.target) out.target = a;
+    else throw new Error(`Unexpected argument: ${a}`);
+  }
+  if (!out.check && !out.target) throw new Error('Usage: node scripts/page_meta.mjs <url|file.html> | --check [dir]');
+  return out;
+}
+
+function extractFile(file, base) {
+  const { html, charset } = decodeHtml(fs.readFileSync(file));
+  const meta = extractHtmlMeta(html, base);
+  return { ...meta, charset: meta.charset || charset };
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+if (args.check) {
+  const dir = args.target || FIXTURES_DIR;
+  const pages = fs.readdirSync(dir).filter(f => f.endsWith('.html')).sort();
+  let failed = 0;
+  for (const page of pages) {
+    const name = page.replace(/\.html$/, '');
+    const got = extractFile(path.join(dir, page), `https://${name}.example/`);
+    const expectedPath = path.join(dir, `${name}.json`);
+    if (args.write) {
+      writeJson(expectedPath, got);
+      console.log(`wrote ${expectedPath}`);
+      continue;
+    }
+    const changes = diffObjects(readJson(expectedPath, {}), got);
+    if (changes.length) {
+      failed++;
+      console.error(`✗ ${page}\n${formatDiff(changes)}`);
+    } else {
+      console.error(`✓ ${page}`);
+    }
+  }
+  console.log(JSON.stringify({ pages: pages.length, failed }));
+  if (failed) process.exit(1);
+} else if (/^https?:\/\//i.test(args.target)) {
+  console.log(JSON.stringify(await fetchPageMeta(args.target), null, 2));
+} else {
+  console.log(JSON.stringify(extractFile(args.target, args.base), null, 2));
+}
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+/**
+ * Refresh GitHub metrics of repo items (`content.repo`): stars, forks, open
+ * issues, last push, archived/deleted flags and star velocity.
+ *
+ * Usage:
+ *   node scripts/refresh_github.mjs [id ...]
+ *
+ * Requests are conditional on the ETag of the item's last snapshot, so
+ * unchanged repos cost no rate limit. Every fetch appends a snapshot to
+ * data/github_metrics.jsonl; `content.metrics.stars_per_week` is computed
+ * from them (lib/github.mjs). Repos answering 404/410/451 get
+ * `content.metrics.deleted: true` and keep their last numbers. Dropped
+ * items are skipped. When the rate limit runs out the run stops and saves
+ * what it has.
+ *
+ * Reads:
+ *   - GITHUB_TOKEN (env, optional; raises the GitHub API rate limit)
+ *
+ * Modifies:
+ *   - data/tools.jsonl
+ *   - data/github_metrics.jsonl
+ *   - notes/<id>.md (regenerated where one exists)
+ */
+
+import fs from 'node:fs';
+import { TOOLS_PATH, loadItems, saveItems, nowIso } from './lib/store.mjs';
+import { validateItem, formatErrors } from './lib/schema.mjs';
+import { parseGitHubRepo } from './lib/meta.mjs';
+import {
+  fetchRepo, repoMetrics, loadMetricsHistory, appendSnapshots, starVelocity, RateLimitError
+} from './lib/github.mjs';
+import { notesPath, writeNotes } from './lib/notes.mjs';
+
+/**
+ * History to extend for `item`. Items ingested before snapshots existed
+ * start from the metrics captured at ingest, so velocity is available
+ * after the first refresh.
+ */
+function seedHistory(item, repo, history) {
+  if (history.length) return [];
+  const m = item.content?.metrics;
+  if (!Number.isFinite(m?.stars)) return [];
+  return [{
+    id: item.id,
+    repo,
+    at: item.enrichment?.at || item.created_at,
+    stars: m.stars,
+    forks: m.forks ?? null,
+    pushed_at: m.pushed_at ?? null,
+    source: 'ingest'
+  }];
+}
+
+function snapshotOf(item, repo, at, etag, m) {
+  return {
+    id: item.id, repo, at, etag,
+    stars: m.stars, forks: m.forks, open_issues: m.open_issues ?? null, pushed_at: m.pushed_at, archived: Boolean(m.archived)
+  };
+}
+
+const onlyIds = new Set(process.argv.slice(2));
+const items = loadItems(TOOLS_PATH);
+const historyById = loadMetricsHistory();
+
+const todo = items
+  .filter(it => it.content?.repo && it.status !== 'dropped')
+  .filter(it => !onlyIds.size || onlyIds.has(it.id));
+
+const snapshots = [];
+const results = [];
+let rateLimited = null;
+
+for (const item of todo) {
+  const gh = parseGitHubRepo(item.content.repo);
+  if (!gh) {
+    results.push({ id: item.id, error: `not a repo URL: ${item.content.repo}` });
+    continue;
+  }
+  const repo = `${gh.owner}/${gh.repo}`;
+  const history = [...(historyById.get(item.id) || [])];
+  const seeded = seedHistory(item, repo, history);
+  const last = history[history.length - 1];
+  const prev = item.content.metrics || {};
+  const at = nowIso();
+
+  let res;
+  try {
+    // Only ask "changed since?" when the numbers we would keep are on the item
+    res = await fetchRepo(gh.owner, gh.repo, { etag: Number.isFinite(prev.stars) ? last?.etag : null });
+  } catch (e) {
+    if (e instanceof RateLimitError) {
+      rateLimited = e.resetAt || true;
+      break;
+    }
+    results.push({ id: item.id, repo, error: e.message });
+    continue;
+  }
+
+  let metrics;
+  let snapshot = null;
+  if (res.status === 'gone') {
+    metrics = { ...prev, deleted: true };
+  } else {
+    const fresh = res.status === 'ok' ? repoMetrics(res.data) : prev;
+    snapshot = snapshotOf(item, repo, at, res.etag, fresh);
+    metrics = { ...prev, ...fresh };
+    delete metrics.deleted;
+  }
+  const series = [...history, ...seeded, ...(snapshot ? [snapshot] : [])];
+  metrics.stars_per_week = starVelocity(series);
+  metrics.refreshed_at = at;
+
+  const candidate = structuredClone(item);
+  candidate.content.metrics = metrics;
+  const errors = validateItem(candidate);
+  if (errors.length) {
+    results.push({ id: item.id, repo, error: `invalid: ${formatErrors(errors)}` });
+    continue;
+  }
+
+  item.content.metrics = metrics;
+  snapshots.push(...seeded, ...(snapshot ? [snapshot] : []));
+  if (fs.existsSync(notesPath(item.id))) writeNotes(item);
+
+  const renamed = res.status === 'ok' && res.data.full_name && res.data.full_name.toLowerCase() !== repo.toLowerCase();
+  results.push({
+    id: item.id,
+    repo,
+    status: res.status === 'gone' ? `gone (${res.code})` : res.status,
+    stars: metrics.stars ?? null,
+    stars_per_week: metrics.stars_per_week,
+    ...(metrics.archived ? { archived: true } : {}),
+    ...(renamed ? { renamed_to: res.data.full_name } : {})
+  });
+}
+
+appendSnapshots(snapshots);
+if (results.some(r => !r.error)) saveItems(items, TOOLS_PATH);
+
+console.log(JSON.stringify({
+  candidates: todo.length,
+  refreshed: results.filter(r => r.status === 'ok').length,
+  not_modified: results.filter(r => r.status === 'not_modified').length,
+  gone: results.filter(r => r.status?.startsWith('gone')).length,
+  errors: results.filter(r => r.error).length,
+  ...(rateLimited ? { rate_limited: rateLimited } : {}),
+  results
+}, null, 2));
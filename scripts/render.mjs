@@ -0,0 +1,29 @@
+#!/usr/bin/env node
+/**
+ * Preview a post without sending it.
+ *
+ * Usage:
+ *   node scripts/render.mjs <id|url> [--format telegram-html|telegram-mdv2|markdown|text]
+ *
+ * Format defaults to POST_FORMAT (env) or telegram-html.
+ */
+
+import { TOOLS_PATH, loadItems, findItem } from './lib/store.mjs';
+import { renderPost, postFormat } from './lib/render.mjs';
+
+const args = process.argv.slice(2);
+let format = process.env.POST_FORMAT || 'telegram-html';
+let ref = null;
+for (let i = 0; i < args.length; i++) {
+  if (args[i] === '--format') format = args[++i];
+  else ref = args[i];
+}
+
+if (!ref) throw new Error('Usage: node scripts/render.mjs <id|url> [--format <format>]');
+postFormat(format);
+
+const items = loadItems(TOOLS_PATH);
+const item = findItem(items, ref);
+if (!item) throw new Error(`Unknown item: ${ref}`);
+
+process.stdout.write(renderPost(item, format) + '\n');
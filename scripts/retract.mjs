@@ -0,0 +1,99 @@
+#!/usr/bin/env node
+/**
+ * Retract a published post: delete the Telegram message and move the item
+ * to `dropped` with a reason.
+ *
+ * Usage:
+ *   node scripts/retract.mjs <id|url> --reason "<why>" [--channel <id>] [--keep-message]
+ *
+ * Without --channel the post is removed from every channel it is live in.
+ * With it, only that channel's message goes; the item stays `posted` while
+ * another channel still shows it.
+ *
+ * --keep-message drops the item without deleting the message (e.g. when it
+ * was already removed by hand).
+ *
+ * Reads:
+ *   - TG_BOT_TOKEN (env; not needed with --keep-message)
+ *   - config/channels.json (chat id fallback when a publication has no chat_id)
+ *
+ * Modifies:
+ *   - data/tools.jsonl
+ */
+
+import { TOOLS_PATH, loadItems, saveItems, findItem, nowIso } from './lib/store.mjs';
+import { assertValidItems } from './lib/schema.mjs';
+import { transition } from './lib/lifecycle.mjs';
+import { createTelegramClient } from './lib/telegram.mjs';
+import { addRevision } from './lib/revisions.mjs';
+import { loadChannelsConfig, getChannel, publications, livePublication } from './lib/channels.mjs';
+
+const ACTOR = 'retract';
+
+function parseArgs(argv) {
+  const out = { ref: null, reason: null, channel: null, keepMessage: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--reason') out.reason = argv[++i];
+    else if (argv[i] === '--channel') out.channel = argv[++i];
+    else if (argv[i] === '--keep-message') out.keepMessage = true;
+    else if (!out.ref) out.ref = argv[i];
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  if (!out.ref || !out.reason) {
+    throw new Error('Usage: node scripts/retract.mjs <id|url> --reason "<why>" [--channel <id>] [--keep-message]');
+  }
+  return out;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+const TOKEN = process.env.TG_BOT_TOKEN;
+if (!TOKEN && !args.keepMessage) throw new Error('Missing env TG_BOT_TOKEN');
+
+const channelsConfig = loadChannelsConfig();
+if (args.channel) getChannel(channelsConfig, args.channel);
+
+const items = loadItems(TOOLS_PATH);
+const item = findItem(items, args.ref);
+if (!item) throw new Error(`Unknown item: ${args.ref}`);
+if (item.status !== 'posted') throw new Error(`${item.id} is not posted (status: ${item.status})`);
+
+const live = publications(item).filter(([channelId]) => livePublication(item, channelId));
+const targets = args.channel ? live.filter(([channelId]) => channelId === args.channel) : live;
+if (args.channel && !targets.length) throw new Error(`${item.id} is not live in channel ${args.channel}`);
+
+const at = nowIso();
+
+/** Retract one channel's post; dropped once no channel shows it any more. */
+function retract(it, channelId, pub) {
+  addRevision(it, { action: 'retract', actor: ACTOR, at, channel_id: channelId, post_id: pub.post_id, reason: args.reason });
+  const published = { ...it.published, [channelId]: { ...pub, retracted_at: at } };
+  if (live.some(([id]) => id !== channelId && livePublication(it, id))) return Object.assign(it, { published, updated_at: at });
+  return transition(it, 'dropped', { actor: ACTOR, at, reason: args.reason, patch: { published } });
+}
+
+const preview = structuredClone(item);
+for (const [channelId, pub] of targets) retract(preview, channelId, pub);
+assertValidItems([preview]);
+
+const tg = args.keepMessage ? null : createTelegramClient({ token: TOKEN });
+const deleted = [];
+for (const [channelId, pub] of targets) {
+  if (tg) {
+    const chatId = pub.chat_id || channelsConfig.channels.find(c => c.id === channelId)?.chat_id;
+    if (!chatId) throw new Error(`No chat id for ${item.id} in channel ${channelId}`);
+    await tg.deleteMessage(chatId, pub.post_id);
+    deleted.push(channelId);
+  }
+  retract(item, channelId, pub);
+  // Saved per channel: a failure in the next one must not lose this retraction
+  saveItems(items, TOOLS_PATH);
+}
+
+console.log(JSON.stringify({
+  retracted: true,
+  id: item.id,
+  status: item.status,
+  channels: targets.map(([channelId, pub]) => ({ channel: channelId, post_id: pub.post_id, message_deleted: deleted.includes(channelId) })),
+  reason: args.reason
+}, null, 2));
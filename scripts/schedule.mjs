@@ -0,0 +1,62 @@
+#!/usr/bin/env node
+/**
+ * Assign posting slots to ready items (→ status `scheduled` + `scheduled_for`).
+ *
+ * Usage:
+ *   node scripts/schedule.mjs
+ *
+ * Items already published in every channel they route to (or routed to
+ * none) are not candidates: there is nowhere left for them to go.
+ *
+ * Reads:
+ *   - config/schedule.json (slots, timezone, per-day cap; see scripts/lib/schedule.mjs)
+ *   - config/channels.json (routes; see scripts/lib/channels.mjs)
+ *   - config/scoring.json (score weights; see scripts/lib/score.mjs)
+ *
+ * Modifies:
+ *   - data/tools.jsonl
+ */
+
+import { TOOLS_PATH, loadItems, saveItems, nowIso } from './lib/store.mjs';
+import { assertValidItems } from './lib/schema.mjs';
+import { transition } from './lib/lifecycle.mjs';
+import { loadScheduleConfig, freeSlots, assignSlots } from './lib/schedule.mjs';
+import { isDuplicate } from './lib/dedupe.mjs';
+import { isDeadLink } from './lib/links.mjs';
+import { currentScores } from './lib/score.mjs';
+import { loadChannelsConfig, routes } from './lib/channels.mjs';
+
+const ACTOR = 'schedule';
+
+const config = loadScheduleConfig();
+const channels = loadChannelsConfig().channels;
+const items = loadItems(TOOLS_PATH);
+const now = new Date();
+const scores = currentScores(items, { now });
+
+// Some routed channel still lacks a publication of the item
+const unpublished = it => channels.some(c => routes(c, it) && !it.published?.[c.id]);
+
+const candidates = items.filter(it =>
+  config.candidate_statuses.includes(it.status) && (it.summary || '').trim() && !isDuplicate(it) && !isDeadLink(it)
+  && unpublished(it));
+
+const slots = freeSlots(config, items, now);
+const assigned = assignSlots(config, items, candidates, slots, { scores });
+
+const at = nowIso();
+for (const { item, scheduled_for } of assigned) {
+  transition(item, 'scheduled', { actor: ACTOR, at, patch: { scheduled_for } });
+}
+
+if (assigned.length) {
+  assertValidItems(assigned.map(a => a.item));
+  saveItems(items, TOOLS_PATH);
+}
+
+console.log(JSON.stringify({
+  candidates: candidates.length,
+  free_slots: slots.length,
+  scored: scores.size,
+  scheduled: assigned.map(a => ({ id: a.item.id, scheduled_for: a.scheduled_for, score: scores.get(a.item.id) }))
+}, null, 2));
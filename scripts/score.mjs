@@ -0,0 +1,50 @@
+#!/usr/bin/env node
+/**
+ * Show how items score (lib/score.mjs), best first.
+ *
+ * Usage:
+ *   node scripts/score.mjs [id ...] [--write]
+ *
+ * Prints each waiting item's score with the part every factor contributed.
+ * The scheduler, the publisher and the inbox /status compute scores afresh
+ * on every run; --write only stores a snapshot in `metrics.score`.
+ *
+ * Reads:
+ *   - config/scoring.json
+ *
+ * Modifies (--write):
+ *   - data/tools.jsonl
+ */
+
+import { TOOLS_PATH, loadItems, saveItems } from './lib/store.mjs';
+import { assertValidItems } from './lib/schema.mjs';
+import { isDuplicate } from './lib/dedupe.mjs';
+import { loadScoringConfig, scoreItem, recentPostTags, applyScores, SCORED_STATUSES } from './lib/score.mjs';
+
+const argv = process.argv.slice(2);
+const write = argv.includes('--write');
+const onlyIds = new Set(argv.filter(a => !a.startsWith('--')));
+for (const a of argv) if (a.startsWith('--') && a !== '--write') throw new Error(`Unknown argument: ${a}`);
+
+const config = loadScoringConfig();
+const items = loadItems(TOOLS_PATH);
+const now = new Date();
+const recentTags = recentPostTags(items, config.novelty_window);
+
+const rows = items
+  .filter(it => SCORED_STATUSES.includes(it.status) && !isDuplicate(it))
+  .filter(it => !onlyIds.size || onlyIds.has(it.id))
+  .map(it => ({ id: it.id, status: it.status, title: it.title, ...scoreItem(it, { config, recentTags, now }) }))
+  .sort((a, b) => b.score - a.score);
+
+let written = 0;
+if (write) {
+  const changed = applyScores(items, { config, now });
+  if (changed.length) {
+    assertValidItems(changed);
+    saveItems(items, TOOLS_PATH);
+  }
+  written = changed.length;
+}
+
+console.log(JSON.stringify({ scored: rows.length, ...(write ? { written } : {}), items: rows }, null, 2));
@@ -2,155 +2,51 @@
 /**
  * Telegram inbox ingestion (polling via getUpdates)
  *
+ * Links come from message entities (URLs, bare domains, hyperlinked words) or
+ * a forwarded public channel post; the rest of the message text is kept as
+ * an editor note in `raw.text` and its hashtags become the initial tags. A
+ * reply without links adds its text to the notes of the replied-to items.
+ * Bot commands (/status, /drop, /shortlist, /tag, /queue, /publish; see
+ * lib/inbox_commands.mjs) are applied in order and answered in-thread.
+ * The pipeline lives in lib/inbox.mjs, shared with scripts/tg_webhook.mjs.
+ *
+ * Links are resolved to their canonical URL (redirects, <link rel=canonical>,
+ * config/url_rules.json) before the id is derived; `url` keeps what was
+ * submitted.
+ *
  * Reads:
  *   - TG_BOT_TOKEN (env)
- *   - INBOX_CHAT_ID (env)
+ *   - config/channels.json (inbox chats; env INBOX_CHAT_ID by default)
+ *   - TG_BOT_USERNAME (env, optional; ignore commands addressed to other bots)
+ *   - INBOX_ADMIN_IDS (env, optional; the only users whose commands run; see lib/channels.mjs)
+ *   - config/url_rules.json; URL_RESOLVE=0 (env) skips network resolution
  *
  * Writes:
- *   - data/tools.jsonl (append new items)
+ *   - data/tools.jsonl (append new items; schema-invalid items are rejected)
  *   - data/tg_state.json (persists last_update_id)
+ *   - data/url_cache.json (resolved URLs)
  */
 
-import fs from 'node:fs';
-import crypto from 'node:crypto';
+import { createTelegramClient } from './lib/telegram.mjs';
+import { loadChannelsConfig } from './lib/channels.mjs';
+import { ingestUpdates, readTgState, INBOX_UPDATE_TYPES } from './lib/inbox.mjs';
 
 const TOKEN = process.env.TG_BOT_TOKEN;
-const INBOX_CHAT_ID = process.env.INBOX_CHAT_ID;
+const channels = loadChannelsConfig();
 
 if (!TOKEN) throw new Error('Missing env TG_BOT_TOKEN');
-if (!INBOX_CHAT_ID) throw new Error('Missing env INBOX_CHAT_ID');
-
-const STATE_PATH = 'data/tg_state.json';
-const OUT_PATH = 'data/tools.jsonl';
-
-function readJson(path, fallback) {
-  try { return JSON.parse(fs.readFileSync(path, 'utf8')); } catch { return fallback; }
-}
-
-function sha1(input) {
-  return crypto.createHash('sha1').update(input).digest('hex');
-}
-
-function normalizeUrl(url) {
-  try {
-    const u = new URL(url);
-    // Strip common tracking params
-    const strip = new Set([
-      'utm_source','utm_medium','utm_campaign','utm_term','utm_content',
-      'ref','ref_src','fbclid','gclid','igshid'
-    ]);
-    [...u.searchParams.keys()].forEach(k => { if (strip.has(k)) u.searchParams.delete(k); });
-    // Canonical-ish cleanup
-    u.hash = '';
-    // remove trailing slash except root
-    if (u.pathname.length > 1) u.pathname = u.pathname.replace(/\/+$/, '');
-    // prefer https
-    if (u.protocol === 'http:') u.protocol = 'https:';
-    return u.toString();
-  } catch {
-    return url;
-  }
-}
+if (!channels.inboxes.some(i => i.chat_id)) throw new Error('No inbox chat id set (config/channels.json; env INBOX_CHAT_ID by default)');
 
-function extractUrls(text) {
-  if (!text) return [];
-  const re = /(https?:\/\/[^\s)\]}>"']+)/g;
-  const found = new Set();
-  let m;
-  while ((m = re.exec(text)) !== null) {
-    found.add(m[1]);
-  }
-  return [...found];
-}
-
-async function tgGetUpdates(offset) {
-  const url = `https://api.telegram.org/bot${TOKEN}/getUpdates?timeout=0${offset ? `&offset=${offset}` : ''}`;
-  const res = await fetch(url);
-  if (!res.ok) throw new Error(`Telegram getUpdates failed: ${res.status}`);
-  const data = await res.json();
-  if (!data.ok) throw new Error(`Telegram getUpdates not ok: ${JSON.stringify(data)}`);
-  return data.result;
-}
-
-function appendLines(path, lines) {
-  if (!lines.length) return;
-  fs.appendFileSync(path, lines.join('\n') + '\n', 'utf8');
-}
-
-const state = readJson(STATE_PATH, { last_update_id: null });
+const state = readTgState();
 const offset = state.last_update_id ? state.last_update_id + 1 : undefined;
 
-const updates = await tgGetUpdates(offset);
-
-let maxUpdateId = state.last_update_id ?? 0;
-
-// Build a set of existing ids to avoid duplicates
-const existingIds = new Set();
-if (fs.existsSync(OUT_PATH)) {
-  const txt = fs.readFileSync(OUT_PATH, 'utf8');
-  for (const line of txt.split(/\n/)) {
-    if (!line.trim()) continue;
-    try { existingIds.add(JSON.parse(line).id); } catch {}
-  }
-}
-
-const newItems = [];
-
-for (const u of updates) {
-  if (typeof u.update_id === 'number') maxUpdateId = Math.max(maxUpdateId, u.update_id);
-
-  const msg = u.message || u.edited_message || u.channel_post || u.edited_channel_post;
-  if (!msg || !msg.chat) continue;
-
-  const chatId = String(msg.chat.id);
-  if (chatId !== String(INBOX_CHAT_ID)) continue;
-
-  const text = msg.text || msg.caption || '';
-  const urls = extractUrls(text);
-  if (!urls.length) continue;
-
-  const author = msg.from?.username || msg.from?.first_name || null;
-
-  for (const rawUrl of urls) {
-    const canonical = normalizeUrl(rawUrl);
-    const id = `tool_${sha1(canonical).slice(0, 12)}`;
-    if (existingIds.has(id)) continue;
-
-    const createdAt = new Date((msg.date ?? Math.floor(Date.now()/1000)) * 1000).toISOString();
-
-    const item = {
-      id,
-      url: rawUrl,
-      canonical_url: canonical,
-      title: canonical, // placeholder; we can enrich later
-      summary: null,
-      tags: [],
-      language: 'en',
-      source: {
-        type: 'tg',
-        chat_id: chatId,
-        message_id: String(msg.message_id ?? ''),
-        author
-      },
-      status: 'inbox',
-      created_at: createdAt,
-      updated_at: null
-    };
-
-    newItems.push(item);
-    existingIds.add(id);
-  }
-}
-
-appendLines(OUT_PATH, newItems.map(x => JSON.stringify(x)));
+const tg = createTelegramClient({ token: TOKEN });
+const updates = await tg.getUpdates({ offset, allowedUpdates: INBOX_UPDATE_TYPES });
 
-fs.mkdirSync('data', { recursive: true });
-if (updates.length) {
-  fs.writeFileSync(STATE_PATH, JSON.stringify({ last_update_id: maxUpdateId }, null, 2) + '\n');
-}
+const result = await ingestUpdates(updates, {
+  channels,
+  botUsername: process.env.TG_BOT_USERNAME || null,
+  tg
+});
 
-console.log(JSON.stringify({
-  updates: updates.length,
-  new_items: newItems.length,
-  last_update_id: updates.length ? maxUpdateId : state.last_update_id
-}, null, 2));
+console.log(JSON.stringify(result, null, 2));
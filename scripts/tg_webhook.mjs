@@ -0,0 +1,296 @@
+#!/usr/bin/env node
+/**
+ * Telegram webhook server: an always-on alternative to polling with
+ * scripts/tg_ingest.mjs. Updates go through the same pipeline
+ * (lib/inbox.mjs); they are queued and written in batches.
+ *
+ * Usage:
+ *   node scripts/tg_webhook.mjs [--port 8080] [--path /telegram] [--flush-ms 5000] [--git-push]
+ *   node scripts/tg_webhook.mjs --replay updates.json
+ *   node scripts/tg_webhook.mjs --set-webhook https://example.org/telegram
+ *   node scripts/tg_webhook.mjs --delete-webhook
+ *
+ * Requests must carry the X-Telegram-Bot-Api-Secret-Token header set with
+ * --set-webhook (401 otherwise). Accepted updates are answered 200 at once
+ * and flushed after --flush-ms or every BATCH_MAX updates; SIGINT/SIGTERM
+ * flush before exiting. GET /healthz reports the queue length.
+ *
+ * The server only writes the working tree. With --git-push every batch that
+ * changed data is committed (as PostSoma Bot) and pushed, like the
+ * tg_ingest workflow does; a rejected push is rebased and retried, and
+ * commits left unpushed go out with the next batch. Without it, commit the
+ * data files some other way, or the next workflow checkout loses them.
+ *
+ * When a batch fails, its updates are retried one at a time, in update_id
+ * order, on the next flushes; later and new updates wait behind the one
+ * still failing so they cannot move last_update_id past it. An update that
+ * failed MAX_ATTEMPTS times is appended to data/tg_dead_letter.jsonl (with
+ * the error) and dropped, so one bad update neither blocks the queue nor
+ * takes its neighbours down with it. Updates still unsettled at shutdown
+ * are dead-lettered too.
+ *
+ * --replay feeds recorded updates (a JSON array, e.g.
+ * fixtures/telegram/updates.json) through the pipeline once and exits;
+ * replies are sent only when TG_BOT_TOKEN is set (point TG_API_BASE at
+ * scripts/mock_tg_api.mjs to see them).
+ *
+ * While a webhook is set Telegram refuses getUpdates, so run either this or
+ * the tg_ingest workflow, not both.
+ *
+ * Reads:
+ *   - TG_BOT_TOKEN (env)
+ *   - config/channels.json (inbox chats; env INBOX_CHAT_ID by default)
+ *   - TG_WEBHOOK_SECRET (env; server and --set-webhook)
+ *   - TG_BOT_USERNAME (env, optional)
+ *   - INBOX_ADMIN_IDS (env, optional; the only users whose commands run)
+ *
+ * Writes:
+ *   - data/tools.jsonl, data/tg_state.json, data/url_cache.json (as tg_ingest.mjs)
+ *   - data/tg_dead_letter.jsonl (updates given up on)
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import crypto from 'node:crypto';
+import { execFile } from 'node:child_process';
+import { promisify } from 'node:util';
+import { createTelegramClient } from './lib/telegram.mjs';
+import { loadChannelsConfig } from './lib/channels.mjs';
+import { ingestUpdates, INBOX_UPDATE_TYPES } from './lib/inbox.mjs';
+
+const BATCH_MAX = 100;
+const MAX_ATTEMPTS = 5;
+const DEAD_LETTER_PATH = 'data/tg_dead_letter.jsonl';
+const DATA_FILES = ['data/tools.jsonl', 'data/tg_state.json', 'data/url_cache.json', DEAD_LETTER_PATH];
+const MAX_BODY_BYTES = 1_000_000;
+const SECRET_HEADER = 'x-telegram-bot-api-secret-token';
+
+function parseArgs(argv) {
+  const out = {
+    port: 8080, path: '/telegram', flushMs: 5000, gitPush: false, replay: null, setWebhook: null, deleteWebhook: false
+  };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--port') out.port = Number(argv[++i]);
+    else if (a === '--path') out.path = argv[++i];
+    else if (a === '--flush-ms') out.flushMs = Number(argv[++i]);
+    else if (a === '--git-push') out.gitPush = true;
+    else if (a === '--replay') out.replay = argv[++i];
+    else if (a === '--set-webhook') out.setWebhook = argv[++i];
+    else if (a === '--delete-webhook') out.deleteWebhook = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return out;
+}
+
+const args = parseArgs(process.argv.slice(2));
+
+const TOKEN = process.env.TG_BOT_TOKEN;
+const channels = loadChannelsConfig();
+const SECRET = process.env.TG_WEBHOOK_SECRET;
+
+// Telegram allows 1-256 chars of A-Z, a-z, 0-9, _ and -
+function requireSecret() {
+  if (!SECRET) throw new Error('Missing env TG_WEBHOOK_SECRET');
+  if (!/^[\w-]{1,256}$/.test(SECRET)) throw new Error('TG_WEBHOOK_SECRET must be 1-256 chars of A-Z a-z 0-9 _ -');
+}
+
+function secretMatches(header) {
+  const a = Buffer.from(String(header || ''));
+  const b = Buffer.from(SECRET);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+if (args.setWebhook || args.deleteWebhook) {
+  const tg = createTelegramClient({ token: TOKEN });
+  if (args.deleteWebhook) {
+    await tg.call('deleteWebhook', { drop_pending_updates: false });
+    console.log(JSON.stringify({ webhook: null }));
+  } else {
+    requireSecret();
+    await tg.call('setWebhook', {
+      url: args.setWebhook,
+      secret_token: SECRET,
+      allowed_updates: INBOX_UPDATE_TYPES
+    });
+    console.log(JSON.stringify({ webhook: args.setWebhook }));
+  }
+  process.exit(0);
+}
+
+if (!channels.inboxes.some(i => i.chat_id)) throw new Error('No inbox chat id set (config/channels.json; env INBOX_CHAT_ID by default)');
+
+const pipelineOpts = {
+  channels,
+  botUsername: process.env.TG_BOT_USERNAME || null,
+  tg: TOKEN ? createTelegramClient({ token: TOKEN }) : null
+};
+
+if (args.replay) {
+  const recorded = JSON.parse(fs.readFileSync(args.replay, 'utf8'));
+  const updates = Array.isArray(recorded) ? recorded : [recorded];
+  console.log(JSON.stringify(await ingestUpdates(updates, pipelineOpts), null, 2));
+  process.exit(0);
+}
+
+requireSecret();
+if (!TOKEN) throw new Error('Missing env TG_BOT_TOKEN');
+
+const git = (...argv) => promisify(execFile)('git', argv);
+
+/** Commit and push the data files when they changed. */
+async function pushData() {
+  const files = DATA_FILES.filter(f => fs.existsSync(f));
+  const { stdout } = await git('status', '--porcelain', '--', ...files);
+  if (stdout.trim()) {
+    await git('add', '--', ...files);
+    await git('-c', 'user.name=PostSoma Bot', '-c', 'user.email=postsoma-bot@users.noreply.github.com',
+      'commit', '-m', 'chore: ingest tg inbox (webhook)');
+  }
+  try {
+    await git('push');
+  } catch {
+    // Another job pushed first; replay ours on top
+    await git('pull', '--rebase').catch(async e => {
+      await git('rebase', '--abort').catch(() => {});
+      throw e;
+    });
+    await git('push');
+  }
+}
+
+let queue = [];
+let timer = null;
+// Batches run one after another: each reads and rewrites the store
+let flushing = Promise.resolve();
+// Updates of a failed batch, retried one by one; update_id → failed attempts
+let retrying = [];
+const attempts = new Map();
+
+function deadLetter(updates, error) {
+  const at = new Date().toISOString();
+  fs.appendFileSync(DEAD_LETTER_PATH, updates.map(update => `${JSON.stringify({ at, error, update })}\n`).join(''));
+  console.error(`Dropped update(s) ${updates.map(u => u.update_id).join(', ')}: ${error}; see ${DEAD_LETTER_PATH}`);
+}
+
+function logResult(result) {
+  console.log(JSON.stringify({ at: new Date().toISOString(), ...result }));
+}
+
+/** One pass over `retrying`. Returns whether any update went through. */
+async function retryEach() {
+  let done = false;
+  while (retrying.length) {
+    const u = retrying[0];
+    try {
+      logResult(await ingestUpdates([u], pipelineOpts));
+      done = true;
+    } catch (e) {
+      const n = (attempts.get(u.update_id) || 0) + 1;
+      console.error(`Update ${u.update_id} failed (attempt ${n}): ${e.stack || e.message}`);
+      if (n < MAX_ATTEMPTS) {
+        attempts.set(u.update_id, n);
+        // Later updates would move last_update_id past this one
+        break;
+      }
+      deadLetter([u], `${e.message} (after ${n} attempts)`);
+    }
+    attempts.delete(u.update_id);
+    retrying.shift();
+  }
+  return done;
+}
+
+async function runFlush() {
+  let changed = false;
+  if (retrying.length) {
+    changed = await retryEach();
+    if (retrying.length) return changed;
+  }
+  const batch = queue;
+  queue = [];
+  if (batch.length) {
+    try {
+      logResult(await ingestUpdates(batch, pipelineOpts));
+      changed = true;
+    } catch (e) {
+      console.error(`Batch of ${batch.length} failed; retrying its updates one by one: ${e.stack || e.message}`);
+      retrying = [...batch].sort((a, b) => a.update_id - b.update_id);
+    }
+  }
+  return changed;
+}
+
+function flush() {
+  clearTimeout(timer);
+  timer = null;
+  if (!queue.length && !retrying.length) return flushing;
+  flushing = flushing
+    .then(runFlush)
+    .then(async changed => {
+      if (changed && args.gitPush) {
+        await pushData().catch(e => console.error(`git push failed (retried with the next batch): ${e.message}`));
+      }
+      if ((retrying.length || queue.length) && !timer) timer = setTimeout(flush, args.flushMs);
+    });
+  return flushing;
+}
+
+function enqueue(update) {
+  queue.push(update);
+  if (queue.length >= BATCH_MAX) flush();
+  else if (!timer) timer = setTimeout(flush, args.flushMs);
+}
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'content-type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const server = http.createServer((req, res) => {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  if (req.method === 'GET' && pathname === '/healthz') return reply(res, 200, { ok: true, queued: queue.length });
+  if (pathname !== args.path) return reply(res, 404, { ok: false });
+  if (req.method !== 'POST') return reply(res, 405, { ok: false });
+  if (!secretMatches(req.headers[SECRET_HEADER])) return reply(res, 401, { ok: false });
+
+  const chunks = [];
+  let size = 0;
+  req.on('data', c => {
+    size += c.length;
+    if (size > MAX_BODY_BYTES) {
+      reply(res, 413, { ok: false });
+      req.destroy();
+    } else {
+      chunks.push(c);
+    }
+  });
+  req.on('end', () => {
+    if (res.writableEnded) return;
+    let update;
+    try {
+      update = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+      return reply(res, 400, { ok: false });
+    }
+    if (!update || typeof update.update_id !== 'number') return reply(res, 400, { ok: false });
+    enqueue(update);
+    reply(res, 200, { ok: true });
+  });
+});
+
+async function shutdown(signal) {
+  console.error(`${signal}: flushing ${queue.length} queued update(s)`);
+  server.close();
+  // Enough passes for every retried update to go through or run out of attempts
+  for (let i = 0; i < MAX_ATTEMPTS && (retrying.length || queue.length); i++) await flush();
+  const unsettled = [...retrying, ...queue];
+  if (unsettled.length) deadLetter(unsettled, `unsettled at ${signal}`);
+  process.exit(0);
+}
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+
+server.listen(args.port, () => {
+  console.error(`Telegram webhook on http://0.0.0.0:${server.address().port}${args.path}`);
+});
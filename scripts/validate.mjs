@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+/**
+ * Validate data/tools.jsonl against schemas/tool-item.schema.json
+ *
+ * Usage:
+ *   node scripts/validate.mjs [path/to/tools.jsonl]
+ *
+ * Prints one line per violation (line number, id, JSON path, message) and
+ * exits 1 if any line is invalid JSON, fails the schema or repeats an id.
+ * Lines are parsed here rather than with loadItems(), which stops at the
+ * first broken line.
+ */
+
+import fs from 'node:fs';
+import { TOOLS_PATH } from './lib/store.mjs';
+import { validateItem } from './lib/schema.mjs';
+
+const file = process.argv[2] || TOOLS_PATH;
+
+if (!fs.existsSync(file)) throw new Error(`Missing ${file}`);
+
+const lines = fs.readFileSync(file, 'utf8').split(/\n/);
+const seenIds = new Map();
+const problems = [];
+let records = 0;
+
+lines.forEach((line, i) => {
+  const lineNo = i + 1;
+  if (!line.trim()) return;
+  records++;
+
+  let item;
+  try {
+    item = JSON.parse(line);
+  } catch (e) {
+    problems.push({ line: lineNo, id: null, path: '$', message: `invalid JSON: ${e.message}` });
+    return;
+  }
+
+  for (const err of validateItem(item)) {
+    problems.push({ line: lineNo, id: item?.id ?? null, ...err });
+  }
+
+  if (item?.id) {
+    if (seenIds.has(item.id)) {
+      problems.push({ line: lineNo, id: item.id, path: '$.id', message: `duplicate of line ${seenIds.get(item.id)}` });
+    } else {
+      seenIds.set(item.id, lineNo);
+    }
+  }
+});
+
+for (const p of problems) {
+  console.error(`${file}:${p.line} ${p.id ?? '(no id)'} ${p.path} ${p.message}`);
+}
+
+console.log(JSON.stringify({
+  file,
+  records,
+  invalid_lines: new Set(problems.map(p => p.line)).size,
+  errors: problems.length
+}, null, 2));
+
+if (problems.length) process.exit(1);
@@ -0,0 +1,13 @@
+## {{title}}
+- Link: {{{url}}}
+- Summary: {{summary}}
+{{#highlights_line}}
+- Highlights: {{highlights_line}}
+{{/highlights_line}}
+{{#best_for}}
+- Best for: {{best_for}}
+{{/best_for}}
+{{#stars}}
+- Stars: {{stars}}{{#stars_trend}} ({{stars_trend}}){{/stars_trend}}
+{{/stars}}
+- Tags: {{tags_line}}